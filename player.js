@@ -40,6 +40,7 @@
  * <li>Seeking</li>
  * <li>Pause indicator</li>
  * <li>Loading Indicator</li>
+ * <li>VAST and VMAP ad breaks</li>
  * </ul>
  *
  */
@@ -157,6 +158,12 @@ sampleplayer.CastPlayer = function (element) {
   this.progressBarThumbElement_ = this.getElementByClass_(
     '.controls-progress-thumb');
 
+  /**
+   * The DOM element for the progress bar.
+   * @private {!Element}
+   */
+  this.progressBarElement_ = this.getElementByClass_('.controls-progress');
+
   /**
    * The DOM element for the current time label.
    * @private {!Element}
@@ -169,12 +176,38 @@ sampleplayer.CastPlayer = function (element) {
    */
   this.totalTimeElement_ = this.getElementByClass_('.controls-total-time');
 
+  /**
+   * The DOM element for the live badge, showing whether playback is at the
+   * live edge or how far behind it.
+   * @private {!Element}
+   */
+  this.liveBadgeElement_ = this.getElementByClass_('.controls-live');
+
+  /**
+   * The DOM element for the playback rate badge.
+   * @private {!Element}
+   */
+  this.rateBadgeElement_ = this.getElementByClass_('.controls-rate');
+
   /**
    * The DOM element for the preview time label.
    * @private {!Element}
    */
   this.previewModeTimerElement_ = this.getElementByClass_('.preview-mode-timer-countdown');
 
+  /**
+   * The DOM element showing the companion banner of the current ad.
+   * @private {!Element}
+   */
+  this.adCompanionElement_ = this.getElementByClass_('.ad-companion');
+
+  /**
+   * The DOM element for the ad skip countdown label.
+   * @private {!Element}
+   */
+  this.adSkipCountdownElement_ = this.getElementByClass_(
+    '.ad-skip-timer-countdown');
+
   /**
    * Handler for buffering-related events for MediaElement.
    * @private {function()}
@@ -199,6 +232,21 @@ sampleplayer.CastPlayer = function (element) {
    */
   this.textTrackType_ = null;
 
+  /**
+   * The ids of the tracks currently active.
+   * @private {!Array.<number>}
+   */
+  this.activeTrackIds_ = [];
+
+  /**
+   * The offset added to the stream indexes of the Media Player Library to
+   * get their track ids, so that they follow the ids of the side loaded
+   * tracks. It is 0 unless audio streams are listed next to side loaded
+   * tracks.
+   * @private {number}
+   */
+  this.inBandTrackIdOffset_ = 0;
+
   /**
    * Whether player app should handle autoplay behavior.
    * @private {boolean}
@@ -236,33 +284,341 @@ sampleplayer.CastPlayer = function (element) {
    */
   this.mediaElement_ = /** @type {HTMLMediaElement} */
     (this.element_.querySelector('#video1'));
-  this.mediaElement_.addEventListener('error', this.onError_.bind(this), false);
-  this.mediaElement_.addEventListener('playing', this.onPlaying_.bind(this),
-    false);
-  this.mediaElement_.addEventListener('pause', this.onPause_.bind(this), false);
-  this.mediaElement_.addEventListener('ended', this.onEnded_.bind(this), false);
-  this.mediaElement_.addEventListener('abort', this.onAbort_.bind(this), false);
-  this.mediaElement_.addEventListener('timeupdate', this.onProgress_.bind(this),
-    false);
-  this.mediaElement_.addEventListener('seeking', this.onSeekStart_.bind(this),
-    false);
-  this.mediaElement_.addEventListener('seeked', this.onSeekEnd_.bind(this),
-    false);
 
+  /**
+   * The listeners of the main content media element. They follow the role of
+   * main content element when the two media elements are swapped.
+   * @private {!Object.<string, function(!Event)>}
+   */
+  this.contentListeners_ = {
+    'error': this.onError_.bind(this),
+    'playing': this.onPlaying_.bind(this),
+    'pause': this.onPause_.bind(this),
+    'ended': this.onEnded_.bind(this),
+    'abort': this.onAbort_.bind(this),
+    'timeupdate': this.onProgress_.bind(this),
+    'seeking': this.onSeekStart_.bind(this),
+    'seeked': this.onSeekEnd_.bind(this)
+  };
+  sampleplayer.toggleEventListeners_(this.mediaElement_,
+    this.contentListeners_, true);
+
+  /**
+   * The media element used to play ads while the main content is suspended,
+   * and to buffer the next track of gapless audio queues.
+   * @private {HTMLMediaElement}
+   */
   this.mediaElement_2 = /** @type {HTMLMediaElement} */
     (this.element_.querySelector('#video2'));
-  this.mediaElement_2.addEventListener('error', this.onError_.bind(this), false);
-  this.mediaElement_2.addEventListener('playing', this.onPlaying_.bind(this),
-    false);
-  this.mediaElement_2.addEventListener('pause', this.onPause_.bind(this), false);
-  this.mediaElement_2.addEventListener('ended', this.onEnded_.bind(this), false);
-  this.mediaElement_2.addEventListener('abort', this.onAbort_.bind(this), false);
-  this.mediaElement_2.addEventListener('timeupdate', this.onProgress_.bind(this),
-    false);
-  this.mediaElement_2.addEventListener('seeking', this.onSeekStart_.bind(this),
-    false);
-  this.mediaElement_2.addEventListener('seeked', this.onSeekEnd_.bind(this),
-    false);
+
+  /**
+   * The listeners of the ad media element.
+   * @private {!Object.<string, function(!Event)>}
+   */
+  this.adListeners_ = {
+    'error': this.onAdError_.bind(this),
+    'playing': this.onAdPlaying_.bind(this),
+    'pause': this.onAdPause_.bind(this),
+    'ended': this.onAdEnded_.bind(this),
+    'timeupdate': this.onAdProgress_.bind(this)
+  };
+  sampleplayer.toggleEventListeners_(this.mediaElement_2, this.adListeners_,
+    true);
+
+  /**
+   * The DRM configuration of the current media, if it is protected.
+   * @private {?sampleplayer.DrmConfig}
+   */
+  this.drmConfig_ = null;
+
+  /**
+   * The policy applied to the requests of the current media, if any.
+   * @private {?sampleplayer.RequestPolicy}
+   */
+  this.requestPolicy_ = null;
+
+  /**
+   * The number of times the request token was refreshed since the content
+   * last started playing.
+   * @private {number}
+   */
+  this.tokenRefreshAttempts_ = 0;
+
+  /**
+   * The retry budget of the current media.
+   * @private {!sampleplayer.RetryConfig}
+   */
+  this.retryConfig_ = sampleplayer.readRetryConfig_(undefined);
+
+  /**
+   * The number of times the content was reloaded after a transient failure
+   * since it last started playing.
+   * @private {number}
+   */
+  this.retryAttempts_ = 0;
+
+  /**
+   * The id of the timer that reloads the content after a transient failure.
+   * @private {?number}
+   */
+  this.retryTimerId_ = null;
+
+  /**
+   * The id of the timer that detects stalled playback.
+   * @private {?number}
+   */
+  this.stallTimerId_ = null;
+
+  /**
+   * The id of the timer that resets the retry budget once playback has been
+   * stable for a while.
+   * @private {?number}
+   */
+  this.retryResetTimerId_ = null;
+
+  /**
+   * The playback error of the current media, if any, reported to senders in
+   * the customData of the media status until another media is loaded.
+   * @private {?sampleplayer.PlayerError}
+   */
+  this.playerError_ = null;
+
+  /**
+   * The last playback error reported to senders, so that an error is only
+   * reported once.
+   * @private {?sampleplayer.PlayerError}
+   */
+  this.reportedError_ = null;
+
+  /**
+   * The id of the sender that loaded the current media, if any.
+   * @private {?string}
+   */
+  this.loadSenderId_ = null;
+
+  /**
+   * The playback queue.
+   * @private {!sampleplayer.MediaQueue}
+   */
+  this.queue_ = new sampleplayer.MediaQueue(Date.now());
+
+  /**
+   * Whether the load in progress was started by the queue, rather than by a
+   * LOAD message of a sender.
+   * @private {boolean}
+   */
+  this.loadingQueueItem_ = false;
+
+  /**
+   * The id of the queue item preloaded and shown as "up next", if any.
+   * @private {?number}
+   */
+  this.preloadedItemId_ = null;
+
+  /**
+   * Whether the queue moves to the next item when the current one ends. It
+   * stops when the "up next" item is cancelled.
+   * @private {boolean}
+   */
+  this.queueAutoAdvance_ = true;
+
+  /**
+   * The id of the queue item buffered in the second media element for
+   * gapless audio playback, if any.
+   * @private {?number}
+   */
+  this.gaplessItemId_ = null;
+
+  /**
+   * The duration (in sec) of the crossfade between the tracks of a gapless
+   * audio queue.
+   * @private {number}
+   */
+  this.crossfadeDuration_ = 0;
+
+  /**
+   * The id of the interval that fades the volume of the tracks of a gapless
+   * audio queue.
+   * @private {number|undefined}
+   */
+  this.crossfadeIntervalId_ = undefined;
+
+  /**
+   * The function that ends the running crossfade: it stops the track faded
+   * out and gives the second media element back its listeners.
+   * @private {?function()}
+   */
+  this.crossfadeDoneFunc_ = null;
+
+  /**
+   * The ad breaks scheduled for the current media.
+   * @private {!Array.<!sampleplayer.AdBreak>}
+   */
+  this.adBreaks_ = [];
+
+  /**
+   * Callbacks waiting for the ad schedule (VMAP) of the current media to be
+   * fetched, or null if the ad schedule is ready.
+   * @private {?Array.<function()>}
+   */
+  this.adScheduleCallbacks_ = null;
+
+  /**
+   * The ad break being played, if any.
+   * @private {?sampleplayer.AdBreak}
+   */
+  this.currentAdBreak_ = null;
+
+  /**
+   * The ads of the current ad break, in playback order.
+   * @private {!Array.<!sampleplayer.Ad>}
+   */
+  this.adPod_ = [];
+
+  /**
+   * The index in adPod_ of the ad being played.
+   * @private {number}
+   */
+  this.adIndex_ = -1;
+
+  /**
+   * Whether the ad media element is the active media element.
+   * @private {boolean}
+   */
+  this.playingAd_ = false;
+
+  /**
+   * The tracking events already fired for the current ad.
+   * @private {!Object.<string, boolean>}
+   */
+  this.adEventsFired_ = {};
+
+  /**
+   * Whether the current ad was paused by the user.
+   * @private {boolean}
+   */
+  this.adPaused_ = false;
+
+  /**
+   * Tracking URLs configured in the LOAD request that replace the VAST
+   * tracking URLs, keyed by tracking event name.
+   * @private {!Object.<string, string>}
+   */
+  this.adTrackingOverrides_ = {};
+
+  /**
+   * Whether the main content was unloaded to play an ad break and must be
+   * loaded again when the break is over.
+   * @private {boolean}
+   */
+  this.contentReleased_ = false;
+
+  /**
+   * The main content source saved while an ad break is playing, for content
+   * not played through the Media Player Library.
+   * @private {?string}
+   */
+  this.contentSrc_ = null;
+
+  /**
+   * Handler waiting for the main content metadata after an ad break.
+   * @private {?function()}
+   */
+  this.contentResumeHandler_ = null;
+
+  /**
+   * The main content position (in sec) at which the current ad break
+   * started.
+   * @private {number}
+   */
+  this.contentResumeTime_ = 0;
+
+  /**
+   * The last main content position (in sec) reached by playback, as opposed
+   * to seeking.
+   * @private {number}
+   */
+  this.lastContentTime_ = 0;
+
+  /**
+   * The main content position (in sec) at which the current media started,
+   * 0 if it started from the beginning or at the live edge.
+   * @private {number}
+   */
+  this.contentStartTime_ = 0;
+
+  /**
+   * The playback rate of the main content.
+   * @private {number}
+   */
+  this.playbackRate_ = 1;
+
+  /**
+   * The adaptive bitrate settings of the current media, if any.
+   * @private {?sampleplayer.AbrConfig}
+   */
+  this.abrConfig_ = null;
+
+  /**
+   * The bitrate (in bits/s) of the video rendition a sender locked playback
+   * to, or null to let the Media Player Library adapt the quality.
+   * @private {?number}
+   */
+  this.lockedBitrate_ = null;
+
+  /**
+   * The heights (in pixels) of the video renditions declared in the
+   * manifests of the current media, by bitrate.
+   * @private {!Object.<number, number>}
+   */
+  this.renditionHeights_ = {};
+
+  /**
+   * The heights (in pixels) of the video renditions declared in the
+   * manifests of the preloaded media, by bitrate.
+   * @private {!Object.<number, number>}
+   */
+  this.preloadRenditionHeights_ = {};
+
+  /**
+   * The video rendition last selected for the current media, if any.
+   * @private {?sampleplayer.Rendition}
+   */
+  this.currentRendition_ = null;
+
+  /**
+   * The main content position (in sec) when the current seek started.
+   * @private {number}
+   */
+  this.seekStartTime_ = 0;
+
+  /**
+   * Whether a seek of the main content started and has not ended yet. The
+   * media element reports the new position before the end of the seek, and
+   * the ad breaks the seek skipped are only handled at its end.
+   * @private {boolean}
+   */
+  this.seekPending_ = false;
+
+  /**
+   * Whether the main content is a live stream.
+   * @private {boolean}
+   */
+  this.isLiveStream_ = false;
+
+  /**
+   * The VAST tag URL returning the ads of the breaks signalled in a live
+   * stream.
+   * @private {?string}
+   */
+  this.liveAdTagUrl_ = null;
+
+  /**
+   * The ids of the live stream cues whose ad break started, since a cue
+   * stays in the manifest while it is in the live window.
+   * @private {!Object.<string, boolean>}
+   */
+  this.liveCueIds_ = {};
 
 
   /**
@@ -278,6 +634,64 @@ sampleplayer.CastPlayer = function (element) {
   this.receiverManager_.setApplicationState(
     sampleplayer.getApplicationState_());
 
+  /**
+   * The message bus of the player namespace, used by senders for commands
+   * the media namespace does not support.
+   * @private {!cast.receiver.CastMessageBus}
+   */
+  this.messageBus_ = this.receiverManager_.getCastMessageBus(
+    sampleplayer.NAMESPACE, cast.receiver.CastMessageBus.MessageType.JSON);
+  this.messageBus_.onMessage = this.onMessage_.bind(this);
+
+  /**
+   * The handlers of the player namespace messages, by message type.
+   * @private {!Object.<string, sampleplayer.MessageHandler>}
+   */
+  this.messageHandlers_ = {};
+  this.registerMessageHandler('SKIP_AD', this.onSkipAdMessage_.bind(this));
+  this.registerMessageHandler('SHOW_TOAST',
+    this.onShowToastMessage_.bind(this));
+  this.registerMessageHandler('SET_THEME', this.onSetThemeMessage_.bind(this));
+  this.registerMessageHandler('GET_DIAGNOSTICS',
+    this.onGetDiagnosticsMessage_.bind(this));
+  this.registerMessageHandler('SET_PLAYBACK_RATE',
+    this.onSetPlaybackRateMessage_.bind(this));
+  this.registerMessageHandler('GET_RENDITIONS',
+    this.onGetRenditionsMessage_.bind(this));
+  this.registerMessageHandler('SET_RENDITION',
+    this.onSetRenditionMessage_.bind(this));
+  this.registerMessageHandler('SEEK_TO_LIVE_EDGE',
+    this.onSeekToLiveEdgeMessage_.bind(this));
+  this.registerMessageHandler('SET_PREFERENCES',
+    this.onSetPreferencesMessage_.bind(this));
+
+  /**
+   * The user preferences set by senders, kept in the local storage so that
+   * they apply to later sessions.
+   * @private {!Object.<string, *>}
+   */
+  this.preferences_ = sampleplayer.loadPreferences_();
+  if (this.preferences_['theme']) {
+    this.setTheme_(this.preferences_['theme']);
+  }
+
+  /**
+   * The DOM element showing toast messages.
+   * @private {!Element}
+   */
+  this.toastElement_ = this.getElementByClass_('.toast');
+
+  /**
+   * The DOM element showing playback errors.
+   * @private {!Element}
+   */
+  this.errorCardElement_ = this.getElementByClass_('.error-card');
+
+  /**
+   * The id of the timer hiding the current toast message.
+   * @private {number|undefined}
+   */
+  this.toastTimerId_ = undefined;
 
   /**
    * The remote media object.
@@ -317,12 +731,6 @@ sampleplayer.CastPlayer = function (element) {
     this.mediaManager_.onStop.bind(this.mediaManager_);
   this.mediaManager_.onStop = this.onStop_.bind(this);
 
-  /**
-   * The original metadata error callback.
-   * @private {?function(!cast.receiver.MediaManager.LoadInfo)}
-   */
-  this.onLoadMetadataErrorOrig_ =
-    this.mediaManager_.onLoadMetadataError.bind(this.mediaManager_);
   this.mediaManager_.onLoadMetadataError = this.onLoadMetadataError_.bind(this);
 
   /**
@@ -336,6 +744,14 @@ sampleplayer.CastPlayer = function (element) {
   this.mediaManager_.customizedStatusCallback =
     this.customizedStatusCallback_.bind(this);
 
+  // The queue messages are handled by the player's own queue, rather than by
+  // the media manager.
+  this.mediaManager_.onQueueLoad = this.onQueueLoad_.bind(this);
+  this.mediaManager_.onQueueInsert = this.onQueueInsert_.bind(this);
+  this.mediaManager_.onQueueUpdate = this.onQueueUpdate_.bind(this);
+  this.mediaManager_.onQueueRemove = this.onQueueRemove_.bind(this);
+  this.mediaManager_.onQueueReorder = this.onQueueReorder_.bind(this);
+
   this.mediaManager_.onPreload = this.onPreload_.bind(this);
   this.mediaManager_.onCancelPreload = this.onCancelPreload_.bind(this);
 };
@@ -349,7 +765,8 @@ sampleplayer.IDLE_TIMEOUT = {
   LOADING: 1000 * 60 * 5,  // 5 minutes
   PAUSED: 1000 * 60 * 20,  // 20 minutes
   DONE: 1000 * 60 * 5,     // 5 minutes
-  IDLE: 1000 * 60 * 5      // 5 minutes
+  IDLE: 1000 * 60 * 5,     // 5 minutes
+  ERROR: 1000 * 60 * 5     // 5 minutes
 };
 
 
@@ -365,6 +782,107 @@ sampleplayer.Type = {
 };
 
 
+/**
+ * A media format the player can play. Media is matched to a format by the
+ * extension of its URL path or by patterns of its URL first, since generic
+ * senders often send a wrong content type, then by its content type.
+ * Content types can end with "/*" to match all the subtypes of a type.
+ * Media without a content type that matches no format is played as
+ * progressive video. Formats played by the Media Player Library have a
+ * protocol factory, called with the host when the media is loaded.
+ *
+ * @typedef {{
+ *   name: string,
+ *   mimeTypes: !Array.<string>,
+ *   extensions: !Array.<string>,
+ *   urlPatterns: !Array.<!RegExp>,
+ *   type: sampleplayer.Type,
+ *   protocol: ?function(!cast.player.api.Host):
+ *       !cast.player.api.StreamingProtocol,
+ *   preload: boolean,
+ *   preview: boolean
+ * }}
+ */
+sampleplayer.MediaFormat;
+
+
+/**
+ * The media formats the player can play, by order of precedence. Formats
+ * that can be preloaded have their first segments fetched before they are
+ * loaded; formats that can be previewed only show the preview UI.
+ *
+ * @private {!Array.<sampleplayer.MediaFormat>}
+ */
+sampleplayer.mediaFormats_ = [
+  {
+    name: 'hls',
+    mimeTypes: ['application/x-mpegurl', 'application/vnd.apple.mpegurl'],
+    extensions: ['m3u8'],
+    urlPatterns: [],
+    type: sampleplayer.Type.VIDEO,
+    protocol: function (host) {
+      return cast.player.api.CreateHlsStreamingProtocol(host);
+    },
+    preload: true,
+    preview: false
+  },
+  {
+    name: 'dash',
+    mimeTypes: ['application/dash+xml'],
+    extensions: ['mpd'],
+    urlPatterns: [],
+    type: sampleplayer.Type.VIDEO,
+    protocol: function (host) {
+      return cast.player.api.CreateDashStreamingProtocol(host);
+    },
+    preload: true,
+    preview: false
+  },
+  {
+    name: 'smooth',
+    mimeTypes: ['application/vnd.ms-sstr+xml'],
+    extensions: [],
+    urlPatterns: [/\.isml?\/manifest/i],
+    type: sampleplayer.Type.VIDEO,
+    protocol: function (host) {
+      return cast.player.api.CreateSmoothStreamingProtocol(host);
+    },
+    preload: true,
+    preview: false
+  },
+  {
+    name: 'video',
+    mimeTypes: ['video/*'],
+    extensions: ['mp4', 'm4v', 'mov', 'mkv', 'ogv', 'webm'],
+    urlPatterns: [],
+    type: sampleplayer.Type.VIDEO,
+    protocol: null,
+    preload: false,
+    preview: true
+  },
+  {
+    name: 'audio',
+    mimeTypes: ['audio/*'],
+    extensions: ['mp3', 'm4a', 'aac', 'flac', 'oga', 'ogg', 'opus', 'wav',
+      'weba'],
+    urlPatterns: [],
+    type: sampleplayer.Type.AUDIO,
+    protocol: null,
+    preload: false,
+    preview: false
+  }
+];
+
+
+/**
+ * The name of the media format used for media without a content type that
+ * matches no format, such as extensionless CDN URLs.
+ *
+ * @const @private {string}
+ */
+sampleplayer.FALLBACK_MEDIA_FORMAT_ = 'video';
+
+
 /**
  * Describes the type of captions being used.
  *
@@ -413,1695 +931,6785 @@ sampleplayer.State = {
   PLAYING: 'playing',
   PAUSED: 'paused',
   DONE: 'done',
-  IDLE: 'idle'
+  IDLE: 'idle',
+  RECONNECTING: 'reconnecting',
+  ERROR: 'error'
 };
 
 /**
- * The amount of time (in ms) a screen should stay idle before burn in
- * prevention kicks in
+ * The error codes reported to senders when the media cannot be played.
+ * Codes 1xx are load and playback errors, codes 2xx are DRM errors.
  *
- * @type {number}
+ * @enum {number}
  */
-sampleplayer.BURN_IN_TIMEOUT = 30 * 1000;
+sampleplayer.ErrorCode = {
+  UNKNOWN: 100,
+  NETWORK: 101,
+  MANIFEST: 102,
+  PLAYBACK: 103,
+  LOAD_FAILED: 104,
+  UNSUPPORTED_TYPE: 105,
+  DECODE: 106,
+  DRM_UNSUPPORTED_SYSTEM: 200,
+  DRM_LICENSE_REQUEST_FAILED: 201,
+  DRM_LICENSE_UNAUTHORIZED: 202,
+  DRM_LICENSE_SERVER_ERROR: 203,
+  DRM_MEDIA_KEYS: 204,
+  DRM_UNSUPPORTED_OPTION: 205
+};
+
 
 /**
- * The minimum duration (in ms) that media info is displayed.
+ * The categories of errors, which select the message shown to the user.
  *
- * @const @private {number}
+ * @enum {string}
  */
-sampleplayer.MEDIA_INFO_DURATION_ = 3 * 1000;
-
+sampleplayer.ErrorCategory = {
+  LOAD: 'load',
+  UNSUPPORTED_TYPE: 'unsupported-type',
+  DRM: 'drm',
+  NETWORK: 'network',
+  DECODE: 'decode',
+  UNKNOWN: 'unknown'
+};
+
 
 /**
- * Transition animation duration (in sec).
+ * The messages shown on the error card, by language and then by error
+ * category. The title is shown above the message.
  *
- * @const @private {number}
+ * @const @private {!Object.<string, !Object.<string, string>>}
  */
-sampleplayer.TRANSITION_DURATION_ = 1.5;
+sampleplayer.ERROR_MESSAGES_ = {
+  'en': {
+    'title': 'Playback error',
+    'load': 'This content could not be loaded.',
+    'unsupported-type': 'This content format is not supported on this ' +
+      'device.',
+    'drm': 'This content is protected and could not be played.',
+    'network': 'Could not connect. Check your network connection and try ' +
+      'again.',
+    'decode': 'This content could not be played.',
+    'unknown': 'Something went wrong. Please try again.'
+  },
+  'es': {
+    'title': 'Error de reproducci\u00f3n',
+    'load': 'No se pudo cargar este contenido.',
+    'unsupported-type': 'Este formato no es compatible con este ' +
+      'dispositivo.',
+    'drm': 'Este contenido est\u00e1 protegido y no se pudo reproducir.',
+    'network': 'No se pudo conectar. Comprueba tu conexi\u00f3n de red e ' +
+      'int\u00e9ntalo de nuevo.',
+    'decode': 'No se pudo reproducir este contenido.',
+    'unknown': 'Se ha producido un error. Int\u00e9ntalo de nuevo.'
+  },
+  'fr': {
+    'title': 'Erreur de lecture',
+    'load': 'Impossible de charger ce contenu.',
+    'unsupported-type': 'Ce format n\'est pas pris en charge sur cet ' +
+      'appareil.',
+    'drm': 'Ce contenu est prot\u00e9g\u00e9 et n\'a pas pu \u00eatre lu.',
+    'network': 'Connexion impossible. V\u00e9rifiez votre connexion ' +
+      'r\u00e9seau et r\u00e9essayez.',
+    'decode': 'Impossible de lire ce contenu.',
+    'unknown': 'Une erreur s\'est produite. Veuillez r\u00e9essayer.'
+  },
+  'de': {
+    'title': 'Wiedergabefehler',
+    'load': 'Dieser Inhalt konnte nicht geladen werden.',
+    'unsupported-type': 'Dieses Format wird auf diesem Ger\u00e4t nicht ' +
+      'unterst\u00fctzt.',
+    'drm': 'Dieser Inhalt ist gesch\u00fctzt und konnte nicht ' +
+      'wiedergegeben werden.',
+    'network': 'Keine Verbindung. \u00dcberpr\u00fcfe deine ' +
+      'Netzwerkverbindung und versuche es erneut.',
+    'decode': 'Dieser Inhalt konnte nicht wiedergegeben werden.',
+    'unknown': 'Ein Fehler ist aufgetreten. Bitte versuche es erneut.'
+  }
+};
 
 
 /**
- * Const to enable debugging.
+ * The language of the messages shown when the user language has none.
  *
- * @const @private {boolean}
+ * @const @private {string}
  */
-sampleplayer.ENABLE_DEBUG_ = true;
+sampleplayer.DEFAULT_LANGUAGE_ = 'en';
 
 
 /**
- * Const to disable debugging.
+ * A playback error reported to senders. The HTTP status is 0 if the error
+ * was not caused by a request.
  *
- * #@const @private {boolean}
+ * @typedef {{
+ *   code: sampleplayer.ErrorCode,
+ *   description: string,
+ *   httpStatus: number,
+ *   retryAttempts: number
+ * }}
  */
-sampleplayer.DISABLE_DEBUG_ = true;
+sampleplayer.PlayerError;
 
 
 /**
- * Returns the element with the given class name
+ * The budget for reloading the content after transient failures, read from
+ * the customData of a LOAD request. Delays are in seconds; the delay doubles
+ * after each attempt, up to maxDelay.
  *
- * @param {string} className The class name of the element to return.
- * @return {!Element}
- * @throws {Error} If given class cannot be found.
- * @private
+ * @typedef {{
+ *   maxAttempts: number,
+ *   initialDelay: number,
+ *   maxDelay: number
+ * }}
  */
-sampleplayer.CastPlayer.prototype.getElementByClass_ = function (className) {
-  var element = this.element_.querySelector(className);
-  if (element) {
-    return element;
-  } else {
-    throw Error('Cannot find element with class: ' + className);
-  }
-};
+sampleplayer.RetryConfig;
 
 
 /**
- * Returns this player's media element.
+ * The default number of times the content is reloaded after transient
+ * failures before giving up.
  *
- * @return {HTMLMediaElement} The media element.
- * @export
+ * @const @private {number}
  */
-sampleplayer.CastPlayer.prototype.getMediaElement = function () {
-  return this.mediaElement2 ? this.mediaElement_2 : this.mediaElement_;
-};
-sampleplayer.CastPlayer.prototype.mediaElement2 = false;
+sampleplayer.RETRY_MAX_ATTEMPTS_ = 5;
+
 
 /**
- * Returns this player's media manager.
+ * The default delay (in sec) before the first reload of the content.
  *
- * @return {cast.receiver.MediaManager} The media manager.
- * @export
+ * @const @private {number}
  */
-sampleplayer.CastPlayer.prototype.getMediaManager = function () {
-  return this.mediaManager_;
-};
+sampleplayer.RETRY_INITIAL_DELAY_ = 1;
 
 
 /**
- * Returns this player's MPL player.
+ * The default maximum delay (in sec) between two reloads of the content.
  *
- * @return {cast.player.api.Player} The current MPL player.
- * @export
+ * @const @private {number}
  */
-sampleplayer.CastPlayer.prototype.getPlayer = function () {
-  return this.player_;
-};
+sampleplayer.RETRY_MAX_DELAY_ = 30;
 
 
 /**
- * Starts the player.
+ * The amount of time (in ms) the content can buffer before playback is
+ * considered stalled.
  *
- * @export
+ * @const @private {number}
  */
-sampleplayer.CastPlayer.prototype.start = function () {
-  this.receiverManager_.start();
-};
+sampleplayer.STALL_TIMEOUT_ = 15 * 1000;
 
 
 /**
- * Preloads the given data.
+ * The amount of time (in ms) the content must play without interruption
+ * before the retry budget is reset.
  *
- * @param {!cast.receiver.media.MediaInformation} mediaInformation The
- *     asset media information.
- * @return {boolean} Whether the media can be preloaded.
- * @export
+ * @const @private {number}
  */
-sampleplayer.CastPlayer.prototype.preload = function (mediaInformation) {
-  this.log_('preload');
-  // For video formats that cannot be preloaded (mp4...), display preview UI.
-  if (sampleplayer.canDisplayPreview_(mediaInformation || {})) {
-    this.showPreviewMode_(mediaInformation);
-    return true;
-  }
-  if (!sampleplayer.supportsPreload_(mediaInformation || {})) {
-    this.log_('preload: no supportsPreload_');
-    return false;
-  }
-  if (this.preloadPlayer_) {
-    this.preloadPlayer_.unload();
-    this.preloadPlayer_ = null;
-  }
-  // Only videos are supported for now
-  var couldPreload = this.preloadVideo_(mediaInformation);
-  if (couldPreload) {
-    this.showPreviewMode_(mediaInformation);
-  }
-  this.log_('preload: couldPreload=' + couldPreload);
-  return couldPreload;
-};
+sampleplayer.RETRY_RESET_DELAY_ = 30 * 1000;
 
 
 /**
- * Display preview mode metadata.
+ * The DRM configuration of protected media, read from the customData of a
+ * LOAD request.
  *
- * @param {boolean} show whether player is showing preview mode metadata
- * @export
+ * @typedef {{
+ *   protectionSystem: string,
+ *   licenseUrl: string,
+ *   headers: !Object.<string, string>,
+ *   withCredentials: boolean,
+ *   licenseCustomData: ?string,
+ *   hasCookies: boolean
+ * }}
  */
-sampleplayer.CastPlayer.prototype.showPreviewModeMetadata = function (show) {
-  this.element_.setAttribute('preview-mode', show.toString());
-};
+sampleplayer.DrmConfig;
+
 
 /**
- * Show the preview mode UI.
+ * The policy applied to the manifest, segment, license and caption requests
+ * of a media, read from the customData of a LOAD request.
  *
- * @param {!cast.receiver.media.MediaInformation} mediaInformation The
- *     asset media information.
- * @private
+ * @typedef {{
+ *   headers: !Object.<string, string>,
+ *   queryParams: !Object.<string, string>,
+ *   withCredentials: boolean,
+ *   tokenRefreshUrl: ?string
+ * }}
  */
-sampleplayer.CastPlayer.prototype.showPreviewMode_ = function (mediaInformation) {
-  this.displayPreviewMode_ = true;
-  this.loadPreviewModeMetadata_(mediaInformation);
-  this.showPreviewModeMetadata(true);
-};
+sampleplayer.RequestPolicy;
 
 
 /**
- * Hide the preview mode UI.
+ * The maximum number of times the request token is refreshed before the
+ * content starts playing again.
  *
- * @private
+ * @const @private {number}
  */
-sampleplayer.CastPlayer.prototype.hidePreviewMode_ = function () {
-  this.showPreviewModeMetadata(false);
-  this.displayPreviewMode_ = false;
-};
+sampleplayer.MAX_TOKEN_REFRESH_ATTEMPTS_ = 2;
 
 
 /**
- * Preloads some video content.
+ * The amount of time (in ms) to wait for a token refresh response.
  *
- * @param {!cast.receiver.media.MediaInformation} mediaInformation The
- *     asset media information.
- * @return {boolean} Whether the video can be preloaded.
- * @private
+ * @const @private {number}
  */
-sampleplayer.CastPlayer.prototype.preloadVideo_ = function (mediaInformation) {
-  this.log_('preloadVideo_');
-  var self = this;
-  var url = mediaInformation.contentId;
-  var protocolFunc = sampleplayer.getProtocolFunction_(mediaInformation);
-  if (!protocolFunc) {
-    this.log_('No protocol found for preload');
-    return false;
-  }
-  var host = new cast.player.api.Host({
-    'url': url,
-    'mediaElement': self.mediaElement_
-  });
-  host.onError = function () {
-    self.preloadPlayer_.unload();
-    self.preloadPlayer_ = null;
-    self.showPreviewModeMetadata(false);
-    self.displayPreviewMode_ = false;
-    self.log_('Error during preload');
-  };
-  self.preloadPlayer_ = new cast.player.api.Player(host);
-  self.preloadPlayer_.preload(protocolFunc(host));
-  return true;
+sampleplayer.TOKEN_REFRESH_TIMEOUT_ = 10 * 1000;
+
+
+/**
+ * The names of the Media Player Library content protection systems, by DRM
+ * protection system name.
+ *
+ * @const @private {!Object.<string, string>}
+ */
+sampleplayer.PROTECTION_SYSTEMS_ = {
+  'widevine': 'WIDEVINE',
+  'playready': 'PLAYREADY',
+  'clearkey': 'CLEARKEY'
 };
 
+
 /**
- * Loads the given data.
+ * An ad break scheduled at a position of the main content. The ads of the
+ * break are either fetched from a VAST tag URL or read from an inline VAST
+ * document.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
- * @export
+ * @param {string} id The ad break id.
+ * @param {number} timeOffset The content position (in sec) of the break,
+ *     Infinity for a post-roll or NaN if not known yet.
+ * @param {?string} vastUrl The VAST tag URL returning the ads of the break.
+ * @param {Element=} opt_vast The inline VAST element of the break.
+ * @struct
+ * @constructor
  */
-sampleplayer.CastPlayer.prototype.load = function (info) {
-  this.log_('onLoad_');
+sampleplayer.AdBreak = function (id, timeOffset, vastUrl, opt_vast) {
+  /**
+   * The ad break id.
+   * @type {string}
+   */
+  this.id = id;
 
-  clearTimeout(this.idleTimerId_);
-  var self = this;
-  self.mediaElement_2.style.display = 'none';
+  /**
+   * The content position (in sec) at which the break is played, Infinity for
+   * a post-roll or NaN if not known yet.
+   * @type {number}
+   */
+  this.timeOffset = timeOffset;
 
+  /**
+   * The position of the break as a percentage of the content duration, if
+   * it was scheduled that way.
+   * @type {?number}
+   */
+  this.percentage = null;
 
-  var media = info.message.media || {};
-  var contentType = media.contentType;
-  var playerType = sampleplayer.getType_(media);
-  var isLiveStream = media.streamType === cast.receiver.media.StreamType.LIVE;
-  if (!media.contentId) {
-    this.log_('Load failed: no content');
-    self.onLoadMetadataError_(info);
-  } else if (playerType === sampleplayer.Type.UNKNOWN) {
-    this.log_('Load failed: unknown content type: ' + contentType);
-    self.onLoadMetadataError_(info);
-  } else {
-    this.log_('Loading: ' + playerType);
-    self.resetMediaElement_();
-    self.setType_(playerType, isLiveStream);
-    var preloaded = false;
-    switch (playerType) {
-      case sampleplayer.Type.AUDIO:
-        self.loadAudio_(info);
-        break;
-      case sampleplayer.Type.VIDEO:
-        preloaded = self.loadVideo_(info);
-        break;
-    }
-    self.playerReady_ = false;
-    self.metadataLoaded_ = false;
-    self.loadMetadata_(media);
-    self.showPreviewModeMetadata(false);
-    self.displayPreviewMode_ = false;
-    sampleplayer.preload_(media, function () {
-      self.log_('preloaded=' + preloaded);
-      if (preloaded) {
-        // Data is ready to play so transiton directly to playing.
-        self.setState_(sampleplayer.State.PLAYING, false);
-        self.playerReady_ = true;
-        self.maybeSendLoadCompleted_(info);
-        // Don't display metadata again, since autoplay already did that.
-        self.deferPlay_(0);
-        self.playerAutoPlay_ = false;
-      } else {
-        sampleplayer.transition_(self.element_, sampleplayer.TRANSITION_DURATION_, function () {
-          self.setState_(sampleplayer.State.LOADING, false);
-          // Only send load completed after we reach this point so the media
-          // manager state is still loading and the sender can't send any PLAY
-          // messages
-          self.playerReady_ = true;
-          self.maybeSendLoadCompleted_(info);
-          if (self.playerAutoPlay_) {
-            // Make sure media info is displayed long enough before playback
-            // starts.
-            self.deferPlay_(sampleplayer.MEDIA_INFO_DURATION_);
-            self.playerAutoPlay_ = false;
-          }
-        });
-      }
-    });
-  }
+  /**
+   * The VAST tag URL returning the ads of the break.
+   * @type {?string}
+   */
+  this.vastUrl = vastUrl;
+
+  /**
+   * The inline VAST element of the break.
+   * @type {Element}
+   */
+  this.vast = opt_vast || null;
+
+  /**
+   * Whether more than one ad of the VAST response can be played.
+   * @type {boolean}
+   */
+  this.allowMultipleAds = true;
+
+  /**
+   * The maximum total duration (in sec) of the ads of the break, NaN if not
+   * limited. Live stream breaks must fit the duration of their cue.
+   * @type {number}
+   */
+  this.maxDuration = NaN;
+
+  /**
+   * Whether the break has already been played.
+   * @type {boolean}
+   */
+  this.played = false;
 };
 
+
 /**
- * Sends the load complete message to the sender if the two necessary conditions
- * are met, the player is ready for messages and the loaded metadata event has
- * been received.
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
- * @private
+ * A media file of a VAST linear creative.
+ *
+ * @typedef {{
+ *   url: string,
+ *   type: string,
+ *   delivery: string,
+ *   width: number,
+ *   height: number,
+ *   bitrate: number
+ * }}
  */
-sampleplayer.CastPlayer.prototype.maybeSendLoadCompleted_ = function (info) {
-  if (!this.playerReady_) {
-    this.log_('Deferring load response, player not ready');
-  } else if (!this.metadataLoaded_) {
-    this.log_('Deferring load response, loadedmetadata event not received');
-  } else {
-    this.onMetadataLoadedOrig_(info);
-    this.log_('Sent load response, player is ready and metadata loaded');
-  }
-};
+sampleplayer.AdMediaFile;
+
 
 /**
- * Resets the media element.
+ * The tracking URLs of a VAST ad, merged from the inline ad and the
+ * wrappers that led to it. Events are keyed by VAST tracking event name
+ * (start, firstQuartile, midpoint, thirdQuartile, complete, pause, resume,
+ * skip...). The companion views are the creativeView URLs of the companions
+ * of the wrappers, requested when a companion of the ad is shown.
  *
- * @private
+ * @typedef {{
+ *   impressions: !Array.<string>,
+ *   errors: !Array.<string>,
+ *   events: !Object.<string, !Array.<string>>,
+ *   companionViews: !Array.<string>
+ * }}
  */
-sampleplayer.CastPlayer.prototype.resetMediaElement_ = function () {
-  this.log_('resetMediaElement_');
-  if (this.player_) {
-    this.player_.unload();
-    this.player_ = null;
-  }
-  this.textTrackType_ = null;
-};
+sampleplayer.AdTracking;
 
 
 /**
- * Loads the metadata for the given media.
+ * A companion banner of a VAST ad. The resource is an image URL for static
+ * companions, an HTML fragment for HTML companions or a page URL for iframe
+ * companions.
  *
- * @param {!cast.receiver.media.MediaInformation} media The media.
- * @private
+ * @typedef {{
+ *   type: sampleplayer.AdCompanionType,
+ *   resource: string,
+ *   width: number,
+ *   height: number,
+ *   creativeViews: !Array.<string>
+ * }}
  */
-sampleplayer.CastPlayer.prototype.loadMetadata_ = function (media) {
-  this.log_('loadMetadata_');
-  if (!sampleplayer.isCastForAudioDevice_()) {
-    var metadata = media.metadata || {};
+sampleplayer.AdCompanion;
+
+
+/**
+ * The VAST companion resource types.
+ *
+ * @enum {string}
+ */
+sampleplayer.AdCompanionType = {
+  STATIC: 'StaticResource',
+  HTML: 'HTMLResource',
+  IFRAME: 'IFrameResource'
+};
+
+
+/**
+ * The largest companion banner (in px) that fits the companion region of the
+ * overlay.
+ *
+ * @const @private {{width: number, height: number}}
+ */
+sampleplayer.AD_COMPANION_MAX_SIZE_ = {width: 300, height: 250};
+
+
+/**
+ * A linear ad read from a VAST inline response.
+ *
+ * @typedef {{
+ *   id: string,
+ *   sequence: number,
+ *   duration: number,
+ *   skipOffset: number,
+ *   mediaFiles: !Array.<sampleplayer.AdMediaFile>,
+ *   companions: !Array.<sampleplayer.AdCompanion>,
+ *   tracking: sampleplayer.AdTracking
+ * }}
+ */
+sampleplayer.Ad;
+
+
+/**
+ * An ad break cue signalled in a live stream manifest.
+ *
+ * @typedef {{
+ *   id: string,
+ *   duration: number
+ * }}
+ */
+sampleplayer.LiveCue;
+
+
+/**
+ * VAST error codes reported to the error tracking URLs.
+ *
+ * @enum {number}
+ */
+sampleplayer.VastErrorCode = {
+  XML_PARSING: 100,
+  WRAPPER: 300,
+  WRAPPER_TIMEOUT: 301,
+  WRAPPER_LIMIT: 302,
+  NO_ADS_AFTER_WRAPPER: 303,
+  FILE_NOT_FOUND: 401,
+  UNSUPPORTED_MEDIA: 403,
+  MEDIA_DISPLAY: 405,
+  UNDEFINED: 900
+};
+
+
+/**
+ * The ad progress tracking events and the fraction of the ad duration at
+ * which they fire.
+ *
+ * @const @private {!Array.<{event: string, fraction: number}>}
+ */
+sampleplayer.AD_QUARTILES_ = [
+  {event: 'firstQuartile', fraction: 0.25},
+  {event: 'midpoint', fraction: 0.5},
+  {event: 'thirdQuartile', fraction: 0.75}
+];
+
+
+/**
+ * The namespace of the player messages. Senders send JSON requests with a
+ * type and an optional requestId:
+ * <pre>
+ * {"type": "SHOW_TOAST", "requestId": 7, "message": "Hello", "duration": 3}
+ * </pre>
+ * The player replies to the sender with the response data of the request,
+ * or with the reason it failed:
+ * <pre>
+ * {"type": "RESPONSE", "requestId": 7, "data": {}}
+ * {"type": "ERROR", "requestId": 7, "reason": "INVALID_PARAMS",
+ *  "description": "message is required"}
+ * </pre>
+ *
+ * @const {string}
+ */
+sampleplayer.NAMESPACE = 'urn:x-cast:com.google.cast.sampleplayer';
+
+
+/**
+ * A handler of the player namespace messages of one type. It is called with
+ * the message and the id of the sender, and returns the response data. It
+ * throws a sampleplayer.MessageError if the request cannot be handled.
+ *
+ * @typedef {function(!Object, string): (Object|undefined)}
+ */
+sampleplayer.MessageHandler;
+
+
+/**
+ * The reasons of the player namespace error replies.
+ *
+ * @enum {string}
+ */
+sampleplayer.MessageErrorReason = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  INVALID_PARAMS: 'INVALID_PARAMS',
+  AD_NOT_SKIPPABLE: 'AD_NOT_SKIPPABLE',
+  NOT_LIVE: 'NOT_LIVE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+
+/**
+ * An error thrown by a message handler, replied to the sender of the
+ * message.
+ *
+ * @param {sampleplayer.MessageErrorReason} reason The error reason.
+ * @param {string=} opt_description A description of the error.
+ * @struct
+ * @constructor
+ */
+sampleplayer.MessageError = function (reason, opt_description) {
+  /**
+   * The error reason.
+   * @type {sampleplayer.MessageErrorReason}
+   */
+  this.reason = reason;
+
+  /**
+   * A description of the error.
+   * @type {string}
+   */
+  this.description = opt_description || '';
+};
+
+
+/**
+ * The seekable window (in sec) of a live stream.
+ *
+ * @typedef {{
+ *   start: number,
+ *   end: number
+ * }}
+ */
+sampleplayer.SeekableRange;
+
+
+/**
+ * The distance (in sec) from the live edge under which playback is
+ * considered live.
+ *
+ * @const @private {number}
+ */
+sampleplayer.LIVE_EDGE_THRESHOLD_ = 10;
+
+
+/**
+ * The minimum seekable window (in sec) for a live stream to be seekable
+ * from the progress bar (DVR).
+ *
+ * @const @private {number}
+ */
+sampleplayer.MIN_DVR_WINDOW_ = 60;
+
+
+/**
+ * The adaptive bitrate settings of a media, read from the customData of a
+ * LOAD request. Bitrates and bandwidths are in bits/s, heights in pixels;
+ * 0 means no limit or no estimate.
+ *
+ * @typedef {{
+ *   maxBitrate: number,
+ *   maxHeight: number,
+ *   initialBandwidth: number
+ * }}
+ */
+sampleplayer.AbrConfig;
+
+
+/**
+ * A video rendition: its bitrate (in bits/s) and, if the manifest declares
+ * it, its height (in pixels).
+ *
+ * @typedef {{
+ *   bitrate: number,
+ *   height: ?number
+ * }}
+ */
+sampleplayer.Rendition;
+
+
+/**
+ * The lowest playback rate senders can set.
+ *
+ * @const @private {number}
+ */
+sampleplayer.MIN_PLAYBACK_RATE_ = 0.5;
+
+
+/**
+ * The highest playback rate senders can set.
+ *
+ * @const @private {number}
+ */
+sampleplayer.MAX_PLAYBACK_RATE_ = 2;
+
+
+/**
+ * The caption preferences of the user, from the "captions" preference.
+ *
+ * @typedef {{
+ *   enabled: boolean,
+ *   languages: !Array.<string>,
+ *   preferSdh: boolean,
+ *   preferForced: boolean
+ * }}
+ */
+sampleplayer.CaptionPreferences;
+
+
+/**
+ * The local storage key of the user preferences.
+ *
+ * @const @private {string}
+ */
+sampleplayer.PREFERENCES_STORAGE_KEY_ = 'sampleplayer.preferences';
+
+
+/**
+ * The themes of the player UI.
+ *
+ * @enum {string}
+ */
+sampleplayer.Theme = {
+  DARK: 'dark',
+  LIGHT: 'light'
+};
+
+
+/**
+ * The default time (in sec) a toast message is shown.
+ *
+ * @const @private {number}
+ */
+sampleplayer.TOAST_DURATION_ = 3;
+
+
+/**
+ * Describes the state of the ad skip overlay.
+ *
+ * @enum {string}
+ */
+sampleplayer.AdSkipState = {
+  NONE: 'none',
+  COUNTDOWN: 'countdown',
+  READY: 'ready'
+};
+
+
+/**
+ * The amount of time (in ms) to wait for a VAST response.
+ *
+ * @const @private {number}
+ */
+sampleplayer.VAST_TIMEOUT_ = 5 * 1000;
+
+
+/**
+ * The maximum number of VAST wrappers followed before giving up on an ad.
+ *
+ * @const @private {number}
+ */
+sampleplayer.MAX_VAST_WRAPPER_DEPTH_ = 5;
+
+
+/**
+ * The amount of time (in ms) a screen should stay idle before burn in
+ * prevention kicks in
+ *
+ * @type {number}
+ */
+sampleplayer.BURN_IN_TIMEOUT = 30 * 1000;
+
+/**
+ * The minimum duration (in ms) that media info is displayed.
+ *
+ * @const @private {number}
+ */
+sampleplayer.MEDIA_INFO_DURATION_ = 3 * 1000;
+
+
+/**
+ * Transition animation duration (in sec).
+ *
+ * @const @private {number}
+ */
+sampleplayer.TRANSITION_DURATION_ = 1.5;
+
+
+/**
+ * The time (in sec) before the end of a queue item at which the next item is
+ * preloaded, when the next item has no preloadTime.
+ *
+ * @const @private {number}
+ */
+sampleplayer.QUEUE_PRELOAD_TIME_ = 20;
+
+
+/**
+ * Const to enable debugging.
+ *
+ * @const @private {boolean}
+ */
+sampleplayer.ENABLE_DEBUG_ = true;
+
+
+/**
+ * Const to disable debugging.
+ *
+ * #@const @private {boolean}
+ */
+sampleplayer.DISABLE_DEBUG_ = true;
+
+
+/**
+ * The queue of media items played one after the other. Items are given an
+ * id when they are added to the queue, which senders use to refer to them
+ * in queue messages. In REPEAT_ALL_AND_SHUFFLE mode the items are shuffled
+ * in place, so the items reported to senders are in playback order.
+ *
+ * @param {number} shuffleSeed The seed of the shuffle order, which makes
+ *     the order the same for the whole session.
+ * @struct
+ * @constructor
+ */
+sampleplayer.MediaQueue = function (shuffleSeed) {
+  /**
+   * The items, in playback order.
+   * @private {!Array.<!cast.receiver.media.QueueItem>}
+   */
+  this.items_ = [];
+
+  /**
+   * The id of the current item, null if the queue is empty.
+   * @private {?number}
+   */
+  this.currentItemId_ = null;
+
+  /**
+   * The id of the next item added to the queue.
+   * @private {number}
+   */
+  this.nextItemId_ = 1;
+
+  /**
+   * The repeat mode of the queue.
+   * @private {cast.receiver.media.repeatMode}
+   */
+  this.repeatMode_ = cast.receiver.media.repeatMode.REPEAT_OFF;
+
+  /**
+   * The random number generator of the shuffle order.
+   * @private {function(): number}
+   */
+  this.random_ = sampleplayer.createRandom_(shuffleSeed);
+};
+
+
+/**
+ * Replaces the items of the queue.
+ *
+ * @param {!Array.<!cast.receiver.media.QueueItem>} items The items.
+ * @param {number} startIndex The index of the item to play first.
+ * @param {cast.receiver.media.repeatMode=} opt_repeatMode The repeat mode.
+ */
+sampleplayer.MediaQueue.prototype.load = function (items, startIndex,
+  opt_repeatMode) {
+  this.items_ = items.map(this.addItem_, this);
+  var currentItem = this.items_[startIndex];
+  this.currentItemId_ = currentItem ? currentItem.itemId : null;
+  this.repeatMode_ = cast.receiver.media.repeatMode.REPEAT_OFF;
+  this.setRepeatMode(opt_repeatMode ||
+    cast.receiver.media.repeatMode.REPEAT_OFF);
+};
+
+
+/**
+ * Removes all the items of the queue.
+ */
+sampleplayer.MediaQueue.prototype.clear = function () {
+  this.load([], 0);
+};
+
+
+/**
+ * Inserts items in the queue.
+ *
+ * @param {!Array.<!cast.receiver.media.QueueItem>} items The items.
+ * @param {number=} opt_insertBefore The id of the item before which the
+ *     items are inserted. They are added at the end if not given.
+ * @return {!Array.<!cast.receiver.media.QueueItem>} The inserted items.
+ */
+sampleplayer.MediaQueue.prototype.insert = function (items,
+  opt_insertBefore) {
+  var inserted = items.map(this.addItem_, this);
+  var index = this.indexOf_(opt_insertBefore);
+  if (index < 0) {
+    index = this.items_.length;
+  }
+  Array.prototype.splice.apply(this.items_, [index, 0].concat(inserted));
+  if (this.currentItemId_ === null && inserted.length > 0) {
+    this.currentItemId_ = inserted[0].itemId;
+  }
+  return inserted;
+};
+
+
+/**
+ * Updates the properties of items of the queue. Items that are not in the
+ * queue are ignored.
+ *
+ * @param {!Array.<!cast.receiver.media.QueueItem>} items The items, with the
+ *     id of the item to update.
+ */
+sampleplayer.MediaQueue.prototype.update = function (items) {
+  for (var i = 0; i < items.length; i++) {
+    var index = this.indexOf_(items[i].itemId);
+    if (index >= 0) {
+      this.items_[index] = items[i];
+    }
+  }
+};
+
+
+/**
+ * Removes items from the queue. If the current item is removed, the item
+ * that followed it becomes the current item.
+ *
+ * @param {!Array.<number>} itemIds The ids of the items to remove.
+ * @return {boolean} Whether the current item was removed.
+ */
+sampleplayer.MediaQueue.prototype.remove = function (itemIds) {
+  var currentIndex = this.getCurrentIndex();
+  var currentRemoved = currentIndex >= 0 &&
+    itemIds.indexOf(this.currentItemId_) >= 0;
+  var remainingItems = this.items_.filter(function (item) {
+    return itemIds.indexOf(item.itemId) < 0;
+  });
+  if (currentRemoved) {
+    var followingItems = this.items_.slice(currentIndex + 1).filter(
+      function (item) {
+        return itemIds.indexOf(item.itemId) < 0;
+      });
+    this.currentItemId_ = followingItems.length > 0 ?
+      followingItems[0].itemId : null;
+  }
+  this.items_ = remainingItems;
+  return currentRemoved;
+};
+
+
+/**
+ * Moves items of the queue, in the given order.
+ *
+ * @param {!Array.<number>} itemIds The ids of the items to move.
+ * @param {number=} opt_insertBefore The id of the item before which the
+ *     items are moved. They are moved to the end if not given.
+ */
+sampleplayer.MediaQueue.prototype.reorder = function (itemIds,
+  opt_insertBefore) {
+  var moved = [];
+  for (var i = 0; i < itemIds.length; i++) {
+    var item = this.getItem(itemIds[i]);
+    if (item && item.itemId !== opt_insertBefore) {
+      moved.push(item);
+    }
+  }
+  this.items_ = this.items_.filter(function (item) {
+    return moved.indexOf(item) < 0;
+  });
+  var index = this.indexOf_(opt_insertBefore);
+  if (index < 0) {
+    index = this.items_.length;
+  }
+  Array.prototype.splice.apply(this.items_, [index, 0].concat(moved));
+};
+
+
+/**
+ * @return {!Array.<!cast.receiver.media.QueueItem>} The items, in playback
+ *     order.
+ */
+sampleplayer.MediaQueue.prototype.getItems = function () {
+  return this.items_;
+};
+
+
+/**
+ * @param {number} itemId The item id.
+ * @return {?cast.receiver.media.QueueItem} The item, or null if it is not in
+ *     the queue.
+ */
+sampleplayer.MediaQueue.prototype.getItem = function (itemId) {
+  return this.items_[this.indexOf_(itemId)] || null;
+};
+
+
+/**
+ * @return {?number} The id of the current item, null if the queue is empty.
+ */
+sampleplayer.MediaQueue.prototype.getCurrentItemId = function () {
+  return this.currentItemId_;
+};
+
+
+/**
+ * @return {?cast.receiver.media.QueueItem} The current item, if any.
+ */
+sampleplayer.MediaQueue.prototype.getCurrentItem = function () {
+  return this.currentItemId_ === null ? null :
+    this.getItem(this.currentItemId_);
+};
+
+
+/**
+ * @return {number} The index of the current item, -1 if the queue is empty.
+ */
+sampleplayer.MediaQueue.prototype.getCurrentIndex = function () {
+  return this.indexOf_(this.currentItemId_);
+};
+
+
+/**
+ * Makes the given item the current item.
+ *
+ * @param {number} itemId The item id.
+ */
+sampleplayer.MediaQueue.prototype.setCurrentItemId = function (itemId) {
+  this.currentItemId_ = itemId;
+};
+
+
+/**
+ * Returns the item at the given distance from the current item.
+ *
+ * @param {number} offset The distance, negative for previous items.
+ * @return {?cast.receiver.media.QueueItem} The item, or null if there is no
+ *     item at this position.
+ */
+sampleplayer.MediaQueue.prototype.getItemAtOffset = function (offset) {
+  var index = this.getCurrentIndex();
+  return index < 0 ? null : this.items_[index + offset] || null;
+};
+
+
+/**
+ * Returns the item played after the current one, according to the repeat
+ * mode, without moving to it. In REPEAT_ALL_AND_SHUFFLE mode, the item
+ * played after the last one is not known until the items are shuffled
+ * again, so null is returned at the end of the queue.
+ *
+ * @return {?cast.receiver.media.QueueItem} The next item, if known.
+ */
+sampleplayer.MediaQueue.prototype.peekNext = function () {
+  var index = this.getCurrentIndex();
+  if (index < 0) {
+    return null;
+  }
+  switch (this.repeatMode_) {
+    case cast.receiver.media.repeatMode.REPEAT_SINGLE:
+      return this.items_[index];
+    case cast.receiver.media.repeatMode.REPEAT_ALL:
+      return this.items_[(index + 1) % this.items_.length];
+    default:
+      return this.items_[index + 1] || null;
+  }
+};
+
+
+/**
+ * Moves to the item played after the current one, according to the repeat
+ * mode. When the end of the queue is reached in REPEAT_ALL_AND_SHUFFLE
+ * mode, the items are shuffled again.
+ *
+ * @return {?cast.receiver.media.QueueItem} The new current item, or null if
+ *     the queue is over.
+ */
+sampleplayer.MediaQueue.prototype.next = function () {
+  var item = this.peekNext();
+  if (!item && this.getCurrentIndex() >= 0 && this.repeatMode_ ===
+    cast.receiver.media.repeatMode.REPEAT_ALL_AND_SHUFFLE) {
+    // The current item is moved first by the shuffle.
+    this.shuffle_();
+    item = this.items_[1] || this.items_[0];
+  }
+  if (item) {
+    this.currentItemId_ = item.itemId;
+  }
+  return item;
+};
+
+
+/**
+ * @return {cast.receiver.media.repeatMode} The repeat mode.
+ */
+sampleplayer.MediaQueue.prototype.getRepeatMode = function () {
+  return this.repeatMode_;
+};
+
+
+/**
+ * Sets the repeat mode. Switching to REPEAT_ALL_AND_SHUFFLE shuffles the
+ * items.
+ *
+ * @param {cast.receiver.media.repeatMode} repeatMode The repeat mode.
+ */
+sampleplayer.MediaQueue.prototype.setRepeatMode = function (repeatMode) {
+  var shuffle = cast.receiver.media.repeatMode.REPEAT_ALL_AND_SHUFFLE;
+  if (repeatMode === shuffle && this.repeatMode_ !== shuffle) {
+    this.shuffle_();
+  }
+  this.repeatMode_ = repeatMode;
+};
+
+
+/**
+ * Shuffles the items. The current item, if any, is moved first so that all
+ * the other items are played before it is played again.
+ *
+ * @private
+ */
+sampleplayer.MediaQueue.prototype.shuffle_ = function () {
+  var currentItem = this.getCurrentItem();
+  var items = this.items_.filter(function (item) {
+    return item !== currentItem;
+  });
+  // Fisher-Yates shuffle.
+  for (var i = items.length - 1; i > 0; i--) {
+    var j = Math.floor(this.random_() * (i + 1));
+    var item = items[i];
+    items[i] = items[j];
+    items[j] = item;
+  }
+  this.items_ = currentItem ? [currentItem].concat(items) : items;
+};
+
+
+/**
+ * Gives an id to an item added to the queue.
+ *
+ * @param {!cast.receiver.media.QueueItem} item The item.
+ * @return {!cast.receiver.media.QueueItem} The item.
+ * @private
+ */
+sampleplayer.MediaQueue.prototype.addItem_ = function (item) {
+  item.itemId = this.nextItemId_++;
+  return item;
+};
+
+
+/**
+ * @param {?number|undefined} itemId The item id.
+ * @return {number} The index of the item, -1 if it is not in the queue.
+ * @private
+ */
+sampleplayer.MediaQueue.prototype.indexOf_ = function (itemId) {
+  for (var i = 0; i < this.items_.length; i++) {
+    if (this.items_[i].itemId === itemId) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+
+/**
+ * Returns the element with the given class name
+ *
+ * @param {string} className The class name of the element to return.
+ * @return {!Element}
+ * @throws {Error} If given class cannot be found.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getElementByClass_ = function (className) {
+  var element = this.element_.querySelector(className);
+  if (element) {
+    return element;
+  } else {
+    throw Error('Cannot find element with class: ' + className);
+  }
+};
+
+
+/**
+ * Returns this player's media element.
+ *
+ * @return {HTMLMediaElement} The media element.
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.getMediaElement = function () {
+  return this.playingAd_ ? this.mediaElement_2 : this.mediaElement_;
+};
+
+
+/**
+ * Returns this player's media manager.
+ *
+ * @return {cast.receiver.MediaManager} The media manager.
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.getMediaManager = function () {
+  return this.mediaManager_;
+};
+
+
+/**
+ * Returns this player's MPL player.
+ *
+ * @return {cast.player.api.Player} The current MPL player.
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.getPlayer = function () {
+  return this.player_;
+};
+
+
+/**
+ * Starts the player.
+ *
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.start = function () {
+  this.receiverManager_.start();
+};
+
+
+/**
+ * Preloads the given data.
+ *
+ * @param {!cast.receiver.media.MediaInformation} mediaInformation The
+ *     asset media information.
+ * @param {Object=} opt_customData The customData the media will be loaded
+ *     with, for its adaptive bitrate settings.
+ * @return {boolean} Whether the media can be preloaded.
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.preload = function (mediaInformation,
+  opt_customData) {
+  this.log_('preload');
+  // For video formats that cannot be preloaded (mp4...), display preview UI.
+  if (sampleplayer.canDisplayPreview_(mediaInformation || {})) {
+    this.showPreviewMode_(mediaInformation);
+    return true;
+  }
+  if (!sampleplayer.supportsPreload_(mediaInformation || {})) {
+    this.log_('preload: no supportsPreload_');
+    return false;
+  }
+  if (this.preloadPlayer_) {
+    this.preloadPlayer_.unload();
+    this.preloadPlayer_ = null;
+  }
+  // Only videos are supported for now
+  var couldPreload = this.preloadVideo_(mediaInformation, opt_customData);
+  if (couldPreload) {
+    this.showPreviewMode_(mediaInformation);
+  }
+  this.log_('preload: couldPreload=' + couldPreload);
+  return couldPreload;
+};
+
+
+/**
+ * Display preview mode metadata.
+ *
+ * @param {boolean} show whether player is showing preview mode metadata
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.showPreviewModeMetadata = function (show) {
+  this.element_.setAttribute('preview-mode', show.toString());
+};
+
+/**
+ * Show the preview mode UI.
+ *
+ * @param {!cast.receiver.media.MediaInformation} mediaInformation The
+ *     asset media information.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.showPreviewMode_ = function (mediaInformation) {
+  this.displayPreviewMode_ = true;
+  this.loadPreviewModeMetadata_(mediaInformation);
+  this.showPreviewModeMetadata(true);
+};
+
+
+/**
+ * Hide the preview mode UI.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.hidePreviewMode_ = function () {
+  this.showPreviewModeMetadata(false);
+  this.displayPreviewMode_ = false;
+};
+
+
+/**
+ * Preloads some video content. The heights of the video renditions are
+ * recorded from the manifests fetched by the preload, since they are not
+ * fetched again when the media is loaded.
+ *
+ * @param {!cast.receiver.media.MediaInformation} mediaInformation The
+ *     asset media information.
+ * @param {Object=} opt_customData The customData the media will be loaded
+ *     with, if known.
+ * @return {boolean} Whether the video can be preloaded.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.preloadVideo_ = function (mediaInformation,
+  opt_customData) {
+  this.log_('preloadVideo_');
+  var self = this;
+  var url = mediaInformation.contentId;
+  var protocolFunc = sampleplayer.getProtocolFunction_(mediaInformation);
+  if (!protocolFunc) {
+    this.log_('No protocol found for preload');
+    return false;
+  }
+  var host = this.createHost_(url);
+  host.onError = function () {
+    self.preloadPlayer_.unload();
+    self.preloadPlayer_ = null;
+    self.showPreviewModeMetadata(false);
+    self.displayPreviewMode_ = false;
+    self.log_('Error during preload');
+  };
+  var heights = {};
+  self.preloadRenditionHeights_ = heights;
+  host.processManifest = function (manifest) {
+    var manifestHeights = sampleplayer.readRenditionHeights_(manifest);
+    for (var bitrate in manifestHeights) {
+      heights[bitrate] = manifestHeights[bitrate];
+    }
+    return manifest;
+  };
+  var abrConfig = sampleplayer.readAbrConfig_(opt_customData);
+  if (abrConfig && abrConfig.initialBandwidth) {
+    host.initialBandwidth = abrConfig.initialBandwidth;
+  }
+  self.preloadPlayer_ = new cast.player.api.Player(host);
+  self.preloadPlayer_.preload(protocolFunc(host));
+  return true;
+};
+
+/**
+ * Loads the given data.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.load = function (info) {
+  this.log_('onLoad_');
+
+  clearTimeout(this.idleTimerId_);
+  var self = this;
+  self.finishCrossfade_();
+  self.mediaElement_2.style.display = 'none';
+
+
+  var media = info.message.media || {};
+  var contentType = media.contentType;
+  var playerType = sampleplayer.getType_(media);
+  var isLiveStream = media.streamType === cast.receiver.media.StreamType.LIVE;
+  var drmConfig = sampleplayer.readDrmConfig_(info.message.customData);
+  self.playerError_ = null;
+  self.loadSenderId_ = info.senderId;
+  if (!media.contentId) {
+    this.log_('Load failed: no content');
+    self.playerError_ = sampleplayer.createError_(
+      sampleplayer.ErrorCode.LOAD_FAILED, 'No content');
+    self.onLoadMetadataError_(info);
+  } else if (playerType === sampleplayer.Type.UNKNOWN) {
+    this.log_('Load failed: unknown content type: ' + contentType);
+    self.playerError_ = sampleplayer.createError_(
+      sampleplayer.ErrorCode.UNSUPPORTED_TYPE,
+      'Unsupported content type: ' + contentType);
+    self.onLoadMetadataError_(info);
+  } else if (drmConfig && !sampleplayer.PROTECTION_SYSTEMS_.hasOwnProperty(
+    drmConfig.protectionSystem)) {
+    this.log_('Load failed: unsupported protection system: ' +
+      drmConfig.protectionSystem);
+    self.playerError_ = sampleplayer.createError_(
+      sampleplayer.ErrorCode.DRM_UNSUPPORTED_SYSTEM,
+      'Unsupported protection system: ' + drmConfig.protectionSystem);
+    self.onLoadMetadataError_(info);
+  } else if (drmConfig && drmConfig.hasCookies) {
+    this.log_('Load failed: DRM cookies are not supported');
+    self.playerError_ = sampleplayer.createError_(
+      sampleplayer.ErrorCode.DRM_UNSUPPORTED_OPTION,
+      'DRM cookies are not supported, send them as headers or ' +
+      'licenseCustomData');
+    self.onLoadMetadataError_(info);
+  } else {
+    this.log_('Loading: ' + playerType);
+    self.resetMediaElement_();
+    self.drmConfig_ = drmConfig;
+    self.requestPolicy_ = sampleplayer.readRequestPolicy_(
+      info.message.customData);
+    self.tokenRefreshAttempts_ = 0;
+    self.retryConfig_ = sampleplayer.readRetryConfig_(
+      info.message.customData);
+    self.cancelRetry_();
+    self.retryAttempts_ = 0;
+    self.abrConfig_ = sampleplayer.readAbrConfig_(info.message.customData);
+    self.lockedBitrate_ = null;
+    self.renditionHeights_ = {};
+    self.currentRendition_ = null;
+    self.resetAdBreaks_();
+    if (!isLiveStream) {
+      // The media manager honors currentTime on the default load path, and
+      // loadVideo_ passes it to the Media Player Library.
+      info.message.currentTime = sampleplayer.getStartTime_(info.message);
+    }
+    self.contentStartTime_ = isLiveStream ? 0 : info.message.currentTime;
+    self.lastContentTime_ = self.contentStartTime_;
+    self.setPlaybackRate_(sampleplayer.isValidPlaybackRate_(
+      info.message['playbackRate']) ? info.message['playbackRate'] : 1);
+    self.loadAdSchedule_(info.message.customData);
+    self.setType_(playerType, isLiveStream);
+    var preloaded = false;
+    switch (playerType) {
+      case sampleplayer.Type.AUDIO:
+        self.loadAudio_(info);
+        break;
+      case sampleplayer.Type.VIDEO:
+        preloaded = self.loadVideo_(info);
+        break;
+    }
+    self.playerReady_ = false;
+    self.metadataLoaded_ = false;
+    self.loadMetadata_(media);
+    self.showPreviewModeMetadata(false);
+    self.displayPreviewMode_ = false;
+    sampleplayer.preload_(media, function () {
+      self.log_('preloaded=' + preloaded);
+      if (self.contentStartTime_) {
+        self.showToast_('Resuming from ' +
+          sampleplayer.formatDuration_(self.contentStartTime_),
+          sampleplayer.TOAST_DURATION_);
+      }
+      if (preloaded) {
+        // Data is ready to play so transiton directly to playing.
+        self.setState_(sampleplayer.State.PLAYING, false);
+        self.playerReady_ = true;
+        self.maybeSendLoadCompleted_(info);
+        // Don't display metadata again, since autoplay already did that.
+        self.deferPlay_(0);
+        self.playerAutoPlay_ = false;
+      } else {
+        sampleplayer.transition_(self.element_, sampleplayer.TRANSITION_DURATION_, function () {
+          self.setState_(sampleplayer.State.LOADING, false);
+          // Only send load completed after we reach this point so the media
+          // manager state is still loading and the sender can't send any PLAY
+          // messages
+          self.playerReady_ = true;
+          self.maybeSendLoadCompleted_(info);
+          if (self.playerAutoPlay_) {
+            // Make sure media info is displayed long enough before playback
+            // starts.
+            self.deferPlay_(sampleplayer.MEDIA_INFO_DURATION_);
+            self.playerAutoPlay_ = false;
+          }
+        });
+      }
+    });
+  }
+};
+
+/**
+ * Sends the load complete message to the sender if the two necessary conditions
+ * are met, the player is ready for messages and the loaded metadata event has
+ * been received.
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.maybeSendLoadCompleted_ = function (info) {
+  if (!this.playerReady_) {
+    this.log_('Deferring load response, player not ready');
+  } else if (!this.metadataLoaded_) {
+    this.log_('Deferring load response, loadedmetadata event not received');
+  } else {
+    this.onMetadataLoadedOrig_(info);
+    this.log_('Sent load response, player is ready and metadata loaded');
+  }
+};
+
+/**
+ * Resets the media element.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.resetMediaElement_ = function () {
+  this.log_('resetMediaElement_');
+  if (this.player_) {
+    this.player_.unload();
+    this.player_ = null;
+  }
+  this.textTrackType_ = null;
+  this.activeTrackIds_ = [];
+  this.inBandTrackIdOffset_ = 0;
+};
+
+
+/**
+ * Loads the metadata for the given media.
+ *
+ * @param {!cast.receiver.media.MediaInformation} media The media.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.loadMetadata_ = function (media) {
+  this.log_('loadMetadata_');
+  if (!sampleplayer.isCastForAudioDevice_()) {
+    var metadata = media.metadata || {};
     var titleElement = this.element_.querySelector('.media-title');
     sampleplayer.setInnerText_(titleElement, metadata.title);
 
-    var subtitleElement = this.element_.querySelector('.media-subtitle');
-    sampleplayer.setInnerText_(subtitleElement, metadata.subtitle);
+    var subtitleElement = this.element_.querySelector('.media-subtitle');
+    sampleplayer.setInnerText_(subtitleElement, metadata.subtitle);
+
+    var artwork = sampleplayer.getMediaImageUrl_(media);
+    if (artwork) {
+      var artworkElement = this.element_.querySelector('.media-artwork');
+      sampleplayer.setBackgroundImage_(artworkElement, artwork);
+    }
+  }
+};
+
+
+/**
+ * Loads the metadata for the given preview mode media.
+ *
+ * @param {!cast.receiver.media.MediaInformation} media The media.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.loadPreviewModeMetadata_ = function (media) {
+  this.log_('loadPreviewModeMetadata_');
+  if (!sampleplayer.isCastForAudioDevice_()) {
+    var metadata = media.metadata || {};
+    var titleElement = this.element_.querySelector('.preview-mode-title');
+    sampleplayer.setInnerText_(titleElement, metadata.title);
+
+    var subtitleElement = this.element_.querySelector('.preview-mode-subtitle');
+    sampleplayer.setInnerText_(subtitleElement, metadata.subtitle);
+
+    var artwork = sampleplayer.getMediaImageUrl_(media);
+    if (artwork) {
+      var artworkElement = this.element_.querySelector('.preview-mode-artwork');
+      sampleplayer.setBackgroundImage_(artworkElement, artwork);
+    }
+  }
+};
+
+
+/**
+ * Lets player handle autoplay, instead of depending on underlying
+ * MediaElement to handle it. By this way, we can make sure that media playback
+ * starts after loading screen is displayed.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.letPlayerHandleAutoPlay_ = function (info) {
+  this.log_('letPlayerHandleAutoPlay_: ' + info.message.autoplay);
+  var autoplay = info.message.autoplay;
+  info.message.autoplay = false;
+  this.getMediaElement().autoplay = false;
+  this.playerAutoPlay_ = autoplay == undefined ? true : autoplay;
+};
+
+
+/**
+ * Loads some audio content.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.loadAudio_ = function (info) {
+  this.log_('loadAudio_');
+  this.letPlayerHandleAutoPlay_(info);
+  this.loadDefault_(info);
+};
+
+
+/**
+ * Loads some video content.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @return {boolean} Whether the media was preloaded
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.loadVideo_ = function (info) {
+  this.log_('loadVideo_');
+  var protocolFunc = null;
+  var url = info.message.media.contentId;
+  var protocolFunc = sampleplayer.getProtocolFunction_(info.message.media);
+  var wasPreloaded = false;
+
+  this.letPlayerHandleAutoPlay_(info);
+  if (!protocolFunc) {
+    this.log_('loadVideo_: using MediaElement');
+    this.mediaElement_.addEventListener('stalled', this.bufferingHandler_,
+      false);
+    this.mediaElement_.addEventListener('waiting', this.bufferingHandler_,
+      false);
+  } else {
+    this.log_('loadVideo_: using Media Player Library');
+    // When MPL is used, buffering status should be detected by
+    // getState()['underflow]'
+    this.mediaElement_.removeEventListener('stalled', this.bufferingHandler_);
+    this.mediaElement_.removeEventListener('waiting', this.bufferingHandler_);
+
+    // If we have not preloaded or the content preloaded does not match the
+    // content that needs to be loaded, perform a full load
+    if (!this.preloadPlayer_ || (this.preloadPlayer_.getHost &&
+      this.preloadPlayer_.getHost().url != url)) {
+      if (this.preloadPlayer_) {
+        this.preloadPlayer_.unload();
+        this.preloadPlayer_ = null;
+      }
+      this.log_('Regular video load');
+      var host = this.createHost_(url);
+      this.configureHost_(host);
+      this.player_ = new cast.player.api.Player(host);
+      if (this.contentStartTime_) {
+        this.player_.load(protocolFunc(host), this.contentStartTime_);
+      } else {
+        this.player_.load(protocolFunc(host));
+      }
+    } else {
+      this.log_('Preloaded video load');
+      this.player_ = this.preloadPlayer_;
+      this.preloadPlayer_ = null;
+      this.renditionHeights_ = this.preloadRenditionHeights_;
+      this.preloadRenditionHeights_ = {};
+      // Replace the "preload" error callback with the "load" error callback
+      this.configureHost_(this.player_.getHost());
+      if (this.contentStartTime_) {
+        // Keep the protocol given to preload.
+        this.player_.load(undefined, this.contentStartTime_);
+      } else {
+        this.player_.load();
+      }
+      wasPreloaded = true;
+    }
+  }
+  this.loadMediaManagerInfo_(info, !!protocolFunc);
+  return wasPreloaded;
+};
+
+
+/**
+ * Creates a Media Player Library host that plays the given URL in the main
+ * media element.
+ *
+ * @param {string} url The manifest URL.
+ * @return {!cast.player.api.Host} The host.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.createHost_ = function (url) {
+  return new cast.player.api.Host({
+    'url': url,
+    'mediaElement': this.mediaElement_
+  });
+};
+
+
+/**
+ * Sets the callbacks of a Media Player Library host playing the main
+ * content: error and manifest callbacks, DRM, request policy and adaptive
+ * bitrate.
+ *
+ * @param {!cast.player.api.Host} host The host.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.configureHost_ = function (host) {
+  host.onError = this.onPlayerError_.bind(this);
+  host.processManifest = this.processManifest_.bind(this);
+  host.getQualityLevel = this.getQualityLevel_.bind(this);
+  if (this.abrConfig_ && this.abrConfig_.initialBandwidth) {
+    host.initialBandwidth = this.abrConfig_.initialBandwidth;
+  }
+  sampleplayer.configureDrm_(host, this.drmConfig_);
+  this.configureRequestPolicy_(host);
+};
+
+
+/**
+ * Called by the Media Player Library to pick the quality level of each
+ * segment. Video renditions above the bitrate or height caps of the media
+ * are never picked, and a rendition locked by a sender replaces the level
+ * the Media Player Library picked. Other streams are left alone.
+ *
+ * @param {number} streamIndex The stream index.
+ * @param {number} qualityLevel The quality level picked by the Media Player
+ *     Library, an index in the bitrates of the stream.
+ * @return {number} The quality level to use.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getQualityLevel_ = function (streamIndex,
+  qualityLevel) {
+  var protocol = this.player_ ? this.player_.getStreamingProtocol() : null;
+  var streamInfo = protocol ? protocol.getStreamInfo(streamIndex) : null;
+  if (!streamInfo ||
+    streamInfo.mimeType.indexOf(sampleplayer.TrackType.VIDEO) !== 0) {
+    return qualityLevel;
+  }
+  var bitrates = streamInfo.bitrates;
+  var level = bitrates.indexOf(this.lockedBitrate_);
+  if (level < 0) {
+    level = -1;
+    for (var i = 0; i < bitrates.length; i++) {
+      if (this.isRenditionAllowed_(bitrates[i]) &&
+        bitrates[i] <= bitrates[qualityLevel] &&
+        (level < 0 || bitrates[i] > bitrates[level])) {
+        level = i;
+      }
+    }
+  }
+  if (level < 0) {
+    // No rendition fits the caps, use the lowest one.
+    level = bitrates.indexOf(Math.min.apply(Math, bitrates));
+  }
+  this.updateRendition_(bitrates[level]);
+  return level;
+};
+
+
+/**
+ * Tells whether a video rendition fits the bitrate and height caps of the
+ * current media. Renditions whose height is not declared in the manifest
+ * are only checked against the bitrate cap.
+ *
+ * @param {number} bitrate The bitrate (in bits/s) of the rendition.
+ * @return {boolean} Whether the rendition can be played.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.isRenditionAllowed_ = function (bitrate) {
+  var abrConfig = this.abrConfig_;
+  var height = this.renditionHeights_[bitrate];
+  return !abrConfig ||
+    !(abrConfig.maxBitrate && bitrate > abrConfig.maxBitrate) &&
+    !(abrConfig.maxHeight && height && height > abrConfig.maxHeight);
+};
+
+
+/**
+ * Records the video rendition selected for the current media. Senders are
+ * told about each switch with a RENDITION_CHANGED message on the player
+ * namespace.
+ *
+ * @param {number} bitrate The bitrate (in bits/s) of the rendition.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.updateRendition_ = function (bitrate) {
+  if (this.currentRendition_ && this.currentRendition_.bitrate === bitrate) {
+    return;
+  }
+  this.currentRendition_ = this.getRendition_(bitrate);
+  this.log_('Video rendition: ' + bitrate + ' bits/s');
+  this.messageBus_.broadcast({
+    'type': 'RENDITION_CHANGED',
+    'rendition': this.getRenditionData_(this.currentRendition_)
+  });
+};
+
+
+/**
+ * Goes back to adaptive bitrate if the locked rendition is not one of the
+ * renditions of the content, which happens when the lock was requested
+ * while ads played.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.checkLockedRendition_ = function () {
+  var bitrate = this.lockedBitrate_;
+  if (bitrate === null || this.getRenditions_().some(function (rendition) {
+    return rendition.bitrate === bitrate;
+  })) {
+    return;
+  }
+  this.log_('No rendition at locked bitrate ' + bitrate +
+    ', back to adaptive bitrate');
+  this.lockedBitrate_ = null;
+};
+
+
+/**
+ * Returns the video renditions of the current media.
+ *
+ * @return {!Array.<!sampleplayer.Rendition>} The renditions, by increasing
+ *     bitrate.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getRenditions_ = function () {
+  var protocol = this.player_ ? this.player_.getStreamingProtocol() : null;
+  var streamCount = protocol ? protocol.getStreamCount() : 0;
+  for (var i = 0; i < streamCount; i++) {
+    var streamInfo = protocol.getStreamInfo(i);
+    if (protocol.isStreamEnabled(i) &&
+      streamInfo.mimeType.indexOf(sampleplayer.TrackType.VIDEO) === 0) {
+      return streamInfo.bitrates.slice().sort(function (a, b) {
+        return a - b;
+      }).map(this.getRendition_.bind(this));
+    }
+  }
+  return [];
+};
+
+
+/**
+ * Returns the video rendition of a bitrate.
+ *
+ * @param {number} bitrate The bitrate (in bits/s) of the rendition.
+ * @return {!sampleplayer.Rendition} The rendition.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getRendition_ = function (bitrate) {
+  return {
+    bitrate: bitrate,
+    height: this.renditionHeights_[bitrate] || null
+  };
+};
+
+
+/**
+ * Returns the details of a video rendition reported to senders.
+ *
+ * @param {!sampleplayer.Rendition} rendition The rendition.
+ * @return {!Object} The rendition details.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getRenditionData_ = function (rendition) {
+  return {
+    'bitrate': rendition.bitrate,
+    'height': rendition.height,
+    'allowed': this.isRenditionAllowed_(rendition.bitrate),
+    'locked': rendition.bitrate === this.lockedBitrate_
+  };
+};
+
+
+/**
+ * Applies the request policy of the current media to the manifest, segment,
+ * license and caption requests of a Media Player Library host. The policy is
+ * read when each request is made, so refreshed tokens are used right away.
+ *
+ * @param {!cast.player.api.Host} host The host.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.configureRequestPolicy_ = function (host) {
+  var self = this;
+  var applyPolicy = function (requestInfo) {
+    sampleplayer.applyRequestPolicy_(self.requestPolicy_, requestInfo);
+  };
+  var updateLicenseRequestInfo = host.updateLicenseRequestInfo;
+  host.updateManifestRequestInfo = applyPolicy;
+  host.updateSegmentRequestInfo = applyPolicy;
+  host.updateCaptionsRequestInfo = applyPolicy;
+  host.updateLicenseRequestInfo = function (requestInfo) {
+    if (updateLicenseRequestInfo) {
+      updateLicenseRequestInfo.call(host, requestInfo);
+    }
+    applyPolicy(requestInfo);
+  };
+};
+
+
+/**
+ * Fetches new request tokens after a request was refused, then loads the
+ * content again at the last position reached, or at the start position of
+ * the LOAD request if it did not play yet.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.refreshRequestToken_ = function () {
+  var self = this;
+  var policy = this.requestPolicy_;
+  this.tokenRefreshAttempts_++;
+  this.log_('refreshRequestToken_: attempt ' + this.tokenRefreshAttempts_);
+  this.contentResumeTime_ = this.lastContentTime_;
+  this.player_.unload();
+  this.player_ = null;
+  this.setState_(sampleplayer.State.BUFFERING, false);
+  var xhr = new XMLHttpRequest();
+  xhr.open('GET', policy.tokenRefreshUrl, true);
+  xhr.timeout = sampleplayer.TOKEN_REFRESH_TIMEOUT_;
+  xhr.withCredentials = policy.withCredentials;
+  for (var header in policy.headers) {
+    xhr.setRequestHeader(header, policy.headers[header]);
+  }
+  var onDone = function () {
+    if (self.requestPolicy_ !== policy) {
+      self.log_('Discarded token refresh of previous media');
+      return;
+    }
+    var response = null;
+    try {
+      response = xhr.status >= 200 && xhr.status < 300 ?
+        JSON.parse(xhr.responseText) : null;
+    } catch (e) {
+      self.log_('Invalid token refresh response');
+    }
+    if (!response) {
+      self.failContent_(sampleplayer.ErrorCode.NETWORK,
+        'Token refresh failed', xhr.status);
+      return;
+    }
+    sampleplayer.mergeRequestPolicy_(policy, response);
+    self.applyRequestPolicyToTextTracks_();
+    self.contentReleased_ = true;
+    self.resumeContent_();
+  };
+  xhr.onload = onDone;
+  xhr.onerror = onDone;
+  xhr.ontimeout = onDone;
+  xhr.send();
+};
+
+
+/**
+ * Called when the Media Player Library fails to play the content. Requests
+ * refused with 401 or 403 are retried with new tokens if the request policy
+ * allows it, and transient failures are retried with a backoff. Otherwise
+ * the content fails with an error reported to the senders.
+ *
+ * @param {cast.player.api.ErrorCode=} opt_errorCode The player error code.
+ * @param {cast.player.api.RequestStatus=} opt_requestStatus The status of
+ *     the failed request, if any.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onPlayerError_ = function (opt_errorCode,
+  opt_requestStatus) {
+  if (this.player_) {
+    var httpStatus = opt_requestStatus ? opt_requestStatus.status : 0;
+    if ((httpStatus === 401 || httpStatus === 403) && this.requestPolicy_ &&
+      this.requestPolicy_.tokenRefreshUrl && this.tokenRefreshAttempts_ <
+      sampleplayer.MAX_TOKEN_REFRESH_ATTEMPTS_) {
+      this.refreshRequestToken_();
+      return;
+    }
+    var code = sampleplayer.getErrorCode_(opt_errorCode, httpStatus);
+    this.log_('onPlayerError_: code=' + code + ', status=' + httpStatus);
+    var description = 'Media Player Library error ' + opt_errorCode;
+    if (sampleplayer.isTransientError_(opt_errorCode, httpStatus)) {
+      this.retryContent_(code, description, httpStatus);
+    } else {
+      this.failContent_(code, description, httpStatus);
+    }
+  }
+};
+
+
+/**
+ * Reloads the content at the last position reached after a transient
+ * failure, once the backoff delay is over. The player shows it is
+ * reconnecting in the meantime. Fails the content once the retry budget is
+ * spent.
+ *
+ * @param {sampleplayer.ErrorCode} code The error code reported if the
+ *     content fails.
+ * @param {string} description The description of the failure.
+ * @param {number} httpStatus The HTTP status of the failed request, 0 if
+ *     none.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.retryContent_ = function (code,
+  description, httpStatus) {
+  if (this.retryAttempts_ >= this.retryConfig_.maxAttempts) {
+    this.failContent_(code, description, httpStatus);
+    return;
+  }
+  if (this.retryTimerId_ !== null) {
+    // The media manager and the media element both report the same error.
+    this.log_('retryContent_: already retrying');
+    return;
+  }
+  var self = this;
+  var delay = Math.min(this.retryConfig_.initialDelay *
+    Math.pow(2, this.retryAttempts_), this.retryConfig_.maxDelay);
+  this.retryAttempts_++;
+  this.log_('retryContent_: attempt ' + this.retryAttempts_ + ' in ' +
+    delay + 's: ' + description);
+  this.cancelRetry_();
+  if (this.player_) {
+    this.player_.unload();
+    this.player_ = null;
+  }
+  this.contentResumeTime_ = this.lastContentTime_;
+  this.retryTimerId_ = setTimeout(function () {
+    self.retryTimerId_ = null;
+    self.contentReleased_ = true;
+    self.resumeContent_();
+  }, delay * 1000);
+  this.setState_(sampleplayer.State.RECONNECTING, false);
+  this.mediaManager_.broadcastStatus(/* includeMedia */ false);
+};
+
+
+/**
+ * Cancels the pending reload of the content, the stall detection and the
+ * reset of the retry budget.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.cancelRetry_ = function () {
+  clearTimeout(this.retryTimerId_);
+  this.retryTimerId_ = null;
+  clearTimeout(this.stallTimerId_);
+  this.stallTimerId_ = null;
+  clearTimeout(this.retryResetTimerId_);
+  this.retryResetTimerId_ = null;
+};
+
+
+/**
+ * Gives up on the content: unloads the player, triggers an error event on
+ * the media element and reports the error to the senders.
+ *
+ * @param {sampleplayer.ErrorCode} code The error code.
+ * @param {string} description The description of the failure.
+ * @param {number} httpStatus The HTTP status of the failed request, 0 if
+ *     none.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.failContent_ = function (code,
+  description, httpStatus) {
+  this.log_('failContent_: code=' + code + ', ' + description);
+  this.cancelRetry_();
+  this.playerError_ = sampleplayer.createError_(code, description +
+    (httpStatus ? ' (HTTP ' + httpStatus + ')' : ''), httpStatus,
+    this.retryAttempts_);
+  this.resetMediaElement_();
+  this.mediaElement_.dispatchEvent(new Event('error'));
+  this.mediaManager_.broadcastStatus(/* includeMedia */ false);
+};
+
+
+/**
+ * Loads media and tracks info into media manager.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @param {boolean} loadOnlyTracksMetadata Only load the tracks metadata (if
+ *     it is in the info provided).
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.loadMediaManagerInfo_ =
+  function (info, loadOnlyTracksMetadata) {
+
+    if (loadOnlyTracksMetadata) {
+      // In the case of media that uses MPL we do not
+      // use the media manager default onLoad API but we still need to load
+      // the tracks metadata information into media manager (so tracks can be
+      // managed and properly reported in the status messages) if they are
+      // provided in the info object (side loaded).
+      this.maybeLoadSideLoadedTracksMetadata_(info);
+    } else {
+      // Media supported by mediamanager, use the media manager default onLoad API
+      // to load the media, tracks metadata and, if the tracks are vtt the media
+      // manager will process the cues too.
+      this.loadDefault_(info);
+    }
+  };
+
+
+/**
+ * Sets the captions type based on the text tracks.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.readSideLoadedTextTrackType_ =
+  function (info) {
+    if (!info.message || !info.message.media || !info.message.media.tracks) {
+      return;
+    }
+    for (var i = 0; i < info.message.media.tracks.length; i++) {
+      var oldTextTrackType = this.textTrackType_;
+      if (info.message.media.tracks[i].type !=
+        cast.receiver.media.TrackType.TEXT) {
+        continue;
+      }
+      if (this.isTtmlTrack_(info.message.media.tracks[i])) {
+        this.textTrackType_ =
+          sampleplayer.TextTrackType.SIDE_LOADED_TTML;
+      } else if (this.isVttTrack_(info.message.media.tracks[i])) {
+        this.textTrackType_ =
+          sampleplayer.TextTrackType.SIDE_LOADED_VTT;
+      } else {
+        this.log_('Unsupported side loaded text track types');
+        this.textTrackType_ =
+          sampleplayer.TextTrackType.SIDE_LOADED_UNSUPPORTED;
+        break;
+      }
+      // We do not support text tracks with different caption types for a single
+      // piece of content
+      if (oldTextTrackType && oldTextTrackType != this.textTrackType_) {
+        this.log_('Load has inconsistent text track types');
+        this.textTrackType_ =
+          sampleplayer.TextTrackType.SIDE_LOADED_UNSUPPORTED;
+        break;
+      }
+    }
+  };
+
+
+/**
+ * If there is tracks information in the LoadInfo, it loads the side loaded
+ * tracks information in the media manager without loading media.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.maybeLoadSideLoadedTracksMetadata_ =
+  function (info) {
+    // If there are no tracks we will not load the tracks information here as
+    // we are likely in a embedded captions scenario and the information will
+    // be loaded in the onMetadataLoaded_ callback
+    if (!info.message || !info.message.media || !info.message.media.tracks ||
+      info.message.media.tracks.length == 0) {
+      return;
+    }
+    var tracksInfo = /** @type {cast.receiver.media.TracksInfo} **/ ({
+      tracks: info.message.media.tracks,
+      activeTrackIds: info.message.activeTrackIds,
+      textTrackStyle: info.message.media.textTrackStyle
+    });
+    this.mediaManager_.loadTracksInfo(tracksInfo);
+    this.applyRequestPolicyToTextTracks_();
+  };
+
+
+/**
+ * Applies the query parameters of the request policy of the current media
+ * to the side-loaded vtt tracks the media manager added to the media
+ * element. These tracks are fetched by the media element, which cannot send
+ * request headers. The track URLs of the media information are left as is,
+ * since they are reported to the senders.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.applyRequestPolicyToTextTracks_ =
+  function () {
+    var policy = this.requestPolicy_;
+    if (!policy) {
+      return;
+    }
+    var trackElements = this.mediaElement_.querySelectorAll('track');
+    for (var i = 0; i < trackElements.length; i++) {
+      var src = sampleplayer.addQueryParams_(trackElements[i].src,
+        policy.queryParams);
+      if (src !== trackElements[i].src) {
+        trackElements[i].src = src;
+      }
+    }
+  };
+
+
+/**
+ * Loads embedded tracks information without loading media.
+ * If there is embedded tracks information, it loads the tracks information
+ * in the media manager without loading media.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.maybeLoadEmbeddedTracksMetadata_ =
+  function (info) {
+    if (!info.message || !info.message.media) {
+      return;
+    }
+    var tracksInfo = this.readInBandTracksInfo_();
+    if (tracksInfo) {
+      this.textTrackType_ = sampleplayer.TextTrackType.EMBEDDED;
+      var track = info.message.activeTrackIds ? null :
+        sampleplayer.selectTextTrack_(tracksInfo.tracks,
+          this.getCaptionPreferences_());
+      if (track) {
+        this.log_('Selected embedded text track ' + track.trackId);
+        // Only one caption stream is enabled at a time.
+        var textTrackIds = tracksInfo.tracks.filter(function (textTrack) {
+          return textTrack.type === cast.receiver.media.TrackType.TEXT;
+        }).map(function (textTrack) {
+          return textTrack.trackId;
+        });
+        tracksInfo.activeTrackIds = tracksInfo.activeTrackIds.filter(
+          function (trackId) {
+            return textTrackIds.indexOf(trackId) < 0;
+          }).concat([track.trackId]);
+      }
+      this.activeTrackIds_ = tracksInfo.activeTrackIds;
+      tracksInfo.textTrackStyle = info.message.media.textTrackStyle;
+      this.mediaManager_.loadTracksInfo(tracksInfo);
+      if (track) {
+        this.restoreActiveTracks_();
+      }
+    }
+  };
+
+
+/**
+ * Adds the audio streams of the Media Player Library to the side loaded
+ * tracks information in the media manager, so that senders can list and
+ * switch them. Their track ids follow the ids of the side loaded tracks.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.maybeLoadInBandAudioTracks_ =
+  function (info) {
+    if (!this.hasInBandStreams_() || !info.message ||
+      !info.message.media || !info.message.media.tracks ||
+      !this.textTrackType_ ||
+      this.textTrackType_ == sampleplayer.TextTrackType.EMBEDDED) {
+      return;
+    }
+    var sideLoadedTracks = info.message.media.tracks;
+    this.inBandTrackIdOffset_ = sideLoadedTracks.reduce(function (max, track) {
+      return Math.max(max, track.trackId);
+    }, 0);
+    var tracksInfo = this.readInBandTracksInfo_();
+    var audioTracks = tracksInfo ? tracksInfo.tracks.filter(function (track) {
+      return track.type === cast.receiver.media.TrackType.AUDIO;
+    }) : [];
+    if (audioTracks.length === 0) {
+      this.inBandTrackIdOffset_ = 0;
+      return;
+    }
+    var activeTrackIds = (info.message.activeTrackIds || []).concat(
+      audioTracks.filter(function (track) {
+        return tracksInfo.activeTrackIds.indexOf(track.trackId) >= 0;
+      }).map(function (track) {
+        return track.trackId;
+      }));
+    this.activeTrackIds_ = activeTrackIds;
+    this.mediaManager_.loadTracksInfo(
+      /** @type {cast.receiver.media.TracksInfo} **/ ({
+        tracks: sideLoadedTracks.concat(audioTracks),
+        activeTrackIds: activeTrackIds,
+        textTrackStyle: info.message.media.textTrackStyle
+      }));
+    this.applyRequestPolicyToTextTracks_();
+  };
+
+
+/**
+ * Returns whether the Media Player Library plays streams whose tracks can be
+ * switched, as opposed to only showing ttml captions.
+ *
+ * @return {boolean} Whether there are in-band streams.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.hasInBandStreams_ = function () {
+  return !!this.player_ && !!this.player_.getStreamingProtocol();
+};
+
+
+/**
+ * Selects the side loaded text track of the caption preferences of the user
+ * if the LOAD request did not select active tracks.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.maybeSelectSideLoadedTextTrack_ =
+  function (info) {
+    if (!info.message || info.message.activeTrackIds ||
+      (this.textTrackType_ != sampleplayer.TextTrackType.SIDE_LOADED_TTML &&
+      this.textTrackType_ != sampleplayer.TextTrackType.SIDE_LOADED_VTT)) {
+      return;
+    }
+    var track = sampleplayer.selectTextTrack_(info.message.media.tracks,
+      this.getCaptionPreferences_());
+    if (!track) {
+      return;
+    }
+    this.log_('Selected side loaded text track ' + track.trackId);
+    info.message.activeTrackIds = [track.trackId];
+    if (this.textTrackType_ == sampleplayer.TextTrackType.SIDE_LOADED_VTT) {
+      // The media manager shows the active vtt tracks of its tracks info.
+      this.maybeLoadSideLoadedTracksMetadata_(info);
+    }
+  };
+
+
+/**
+ * Processes ttml tracks and enables the active ones.
+ *
+ * @param {!Array.<number>} activeTrackIds The active tracks.
+ * @param {!Array.<cast.receiver.media.Track>} tracks The track definitions.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.processTtmlCues_ =
+  function (activeTrackIds, tracks) {
+    if (activeTrackIds.length == 0) {
+      return;
+    }
+    // If there is an active text track, that is using ttml, apply it
+    for (var i = 0; i < tracks.length; i++) {
+      var contains = false;
+      for (var j = 0; j < activeTrackIds.length; j++) {
+        if (activeTrackIds[j] == tracks[i].trackId) {
+          contains = true;
+          break;
+        }
+      }
+      if (!contains ||
+        !this.isTtmlTrack_(tracks[i])) {
+        continue;
+      }
+      if (!this.player_) {
+        // We do not have a player, it means we need to create it to support
+        // loading ttml captions
+        var host = this.createHost_('');
+        this.configureRequestPolicy_(host);
+        this.protocol_ = null;
+        this.player_ = new cast.player.api.Player(host);
+      }
+      this.player_.enableCaptions(
+        true, cast.player.api.CaptionsType.TTML, tracks[i].trackContentId);
+    }
+  };
+
+
+/**
+ * Checks if a track is TTML.
+ *
+ * @param {cast.receiver.media.Track} track The track.
+ * @return {boolean} Whether the track is in TTML format.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.isTtmlTrack_ = function (track) {
+  return this.isKnownTextTrack_(track,
+    sampleplayer.TextTrackType.SIDE_LOADED_TTML,
+    sampleplayer.CaptionsMimeType.TTML);
+};
+
+
+/**
+ * Checks if a track is VTT.
+ *
+ * @param {cast.receiver.media.Track} track The track.
+ * @return {boolean} Whether the track is in VTT format.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.isVttTrack_ = function (track) {
+  return this.isKnownTextTrack_(track,
+    sampleplayer.TextTrackType.SIDE_LOADED_VTT,
+    sampleplayer.CaptionsMimeType.VTT);
+};
+
+
+/**
+ * Checks if a track is of a known type by verifying the extension or mimeType.
+ *
+ * @param {cast.receiver.media.Track} track The track.
+ * @param {!sampleplayer.TextTrackType} textTrackType The text track
+ *     type expected.
+ * @param {!string} mimeType The mimeType expected.
+ * @return {boolean} Whether the track has the specified format.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.isKnownTextTrack_ =
+  function (track, textTrackType, mimeType) {
+    if (!track) {
+      return false;
+    }
+    // The sampleplayer.TextTrackType values match the
+    // file extensions required
+    var fileExtension = textTrackType;
+    var trackContentId = track.trackContentId;
+    var trackContentType = track.trackContentType;
+    if ((trackContentId &&
+      sampleplayer.getExtension_(trackContentId) === fileExtension) ||
+      (trackContentType && trackContentType.indexOf(mimeType) === 0)) {
+      return true;
+    }
+    return false;
+  };
+
+
+/**
+ * Processes embedded tracks, if they exist. Video streams are left enabled,
+ * and the audio stream only changes if an audio track is active, so that
+ * exactly one audio stream is always enabled.
+ *
+ * @param {!Array.<number>} activeTrackIds The active tracks.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.processInBandTracks_ =
+  function (activeTrackIds) {
+    var protocol = this.player_.getStreamingProtocol();
+    var streamCount = protocol.getStreamCount();
+    var audioStreamIndex = -1;
+    for (var i = 0; i < streamCount; i++) {
+      var trackId = this.inBandTrackIdOffset_ + i + 1;
+      var isActive = false;
+      for (var j = 0; j < activeTrackIds.length; j++) {
+        if (activeTrackIds[j] == trackId) {
+          isActive = true;
+          break;
+        }
+      }
+      var trackType = sampleplayer.getStreamTrackType_(
+        protocol.getStreamInfo(i).mimeType);
+      if (trackType === sampleplayer.TrackType.AUDIO) {
+        if (isActive && audioStreamIndex < 0) {
+          audioStreamIndex = i;
+        }
+        continue;
+      } else if (trackType === sampleplayer.TrackType.VIDEO) {
+        continue;
+      }
+      var wasActive = protocol.isStreamEnabled(i);
+      if (isActive && !wasActive) {
+        protocol.enableStream(i, true);
+      } else if (!isActive && wasActive) {
+        protocol.enableStream(i, false);
+      }
+    }
+    if (audioStreamIndex >= 0) {
+      this.enableAudioStream_(audioStreamIndex);
+    }
+  };
+
+
+/**
+ * Enables one audio stream of the Media Player Library and disables the
+ * others. The player reloads the content to switch audio streams.
+ *
+ * @param {number} streamIndex The index of the audio stream.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.enableAudioStream_ = function (
+  streamIndex) {
+  var protocol = this.player_.getStreamingProtocol();
+  var streamCount = protocol.getStreamCount();
+  var changed = false;
+  for (var i = 0; i < streamCount; i++) {
+    var streamInfo = protocol.getStreamInfo(i);
+    if (sampleplayer.getStreamTrackType_(streamInfo.mimeType) !==
+      sampleplayer.TrackType.AUDIO) {
+      continue;
+    }
+    var enable = i === streamIndex;
+    if (protocol.isStreamEnabled(i) !== enable) {
+      protocol.enableStream(i, enable);
+      changed = true;
+    }
+  }
+  if (changed) {
+    this.log_('Switching to audio stream ' + streamIndex + ' (' +
+      protocol.getStreamInfo(streamIndex).language + ')');
+    this.player_.reload();
+  }
+};
+
+
+/**
+ * Enables the audio stream of the first preferred language that the media
+ * has. If it has none of them, the audio stream enabled by the Media Player
+ * Library is kept, or the first one if none is.
+ *
+ * @param {!Array.<string>} preferredLanguages The preferred languages, most
+ *     preferred first.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.selectAudioStream_ = function (
+  preferredLanguages) {
+  var protocol = this.player_ ? this.player_.getStreamingProtocol() : null;
+  var streamCount = protocol ? protocol.getStreamCount() : 0;
+  var audioStreams = [];
+  var languages = [];
+  var enabledStreamIndex = -1;
+  for (var i = 0; i < streamCount; i++) {
+    var streamInfo = protocol.getStreamInfo(i);
+    if (sampleplayer.getStreamTrackType_(streamInfo.mimeType) ===
+      sampleplayer.TrackType.AUDIO) {
+      audioStreams.push(i);
+      languages.push(streamInfo.language);
+      if (enabledStreamIndex < 0 && protocol.isStreamEnabled(i)) {
+        enabledStreamIndex = i;
+      }
+    }
+  }
+  if (audioStreams.length === 0) {
+    return;
+  }
+  var index = sampleplayer.findByLanguage_(languages, preferredLanguages);
+  if (index >= 0) {
+    this.enableAudioStream_(audioStreams[index]);
+  } else {
+    this.enableAudioStream_(enabledStreamIndex >= 0 ? enabledStreamIndex :
+      audioStreams[0]);
+  }
+};
+
+
+/**
+ * Reads in-band tracks info, if they exist.
+ *
+ * @return {cast.receiver.media.TracksInfo} The tracks info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.readInBandTracksInfo_ = function () {
+  var protocol = this.player_ ? this.player_.getStreamingProtocol() : null;
+  if (!protocol) {
+    return null;
+  }
+  var streamCount = protocol.getStreamCount();
+  var activeTrackIds = [];
+  var tracks = [];
+  for (var i = 0; i < streamCount; i++) {
+    var trackId = this.inBandTrackIdOffset_ + i + 1;
+    if (protocol.isStreamEnabled(i)) {
+      activeTrackIds.push(trackId);
+    }
+    var streamInfo = protocol.getStreamInfo(i);
+    var trackType = sampleplayer.getStreamTrackType_(streamInfo.mimeType);
+    var track;
+    if (trackType === sampleplayer.TrackType.TEXT) {
+      track = new cast.receiver.media.Track(
+        trackId, cast.receiver.media.TrackType.TEXT);
+    } else if (trackType === sampleplayer.TrackType.VIDEO) {
+      track = new cast.receiver.media.Track(
+        trackId, cast.receiver.media.TrackType.VIDEO);
+    } else if (trackType === sampleplayer.TrackType.AUDIO) {
+      track = new cast.receiver.media.Track(
+        trackId, cast.receiver.media.TrackType.AUDIO);
+    }
+    if (track) {
+      track.name = streamInfo.name;
+      track.language = streamInfo.language;
+      track.trackContentType = streamInfo.mimeType;
+      tracks.push(track);
+    }
+  }
+  if (tracks.length === 0) {
+    return null;
+  }
+  var tracksInfo = /** @type {cast.receiver.media.TracksInfo} **/ ({
+    tracks: tracks,
+    activeTrackIds: activeTrackIds
+  });
+  return tracksInfo;
+};
+
+
+/**
+ * Loads some media by delegating to default media manager.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.loadDefault_ = function (info) {
+  this.onLoadOrig_(new cast.receiver.MediaManager.Event(
+    cast.receiver.MediaManager.EventType.LOAD,
+      /** @type {!cast.receiver.MediaManager.RequestData} */(info.message),
+    info.senderId));
+};
+
+
+/**
+ * Sets the amount of time before the player is considered idle.
+ *
+ * @param {number} t the time in milliseconds before the player goes idle
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.setIdleTimeout_ = function (t) {
+  this.log_('setIdleTimeout_: ' + t);
+  var self = this;
+  clearTimeout(this.idleTimerId_);
+  if (t) {
+    this.idleTimerId_ = setTimeout(function () {
+      self.receiverManager_.stop();
+    }, t);
+  }
+};
+
+
+/**
+ * Sets the type of player.
+ *
+ * @param {sampleplayer.Type} type The type of player.
+ * @param {boolean} isLiveStream whether player is showing live content
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.setType_ = function (type, isLiveStream) {
+  this.log_('setType_: ' + type);
+  this.type_ = type;
+  this.isLiveStream_ = isLiveStream;
+  this.element_.setAttribute('type', type);
+  this.element_.setAttribute('live', isLiveStream.toString());
+  this.element_.setAttribute('dvr', 'false');
+  this.element_.setAttribute('live-edge', 'true');
+  var overlay = this.getElementByClass_('.overlay');
+  var watermark = this.getElementByClass_('.watermark');
+  clearInterval(this.burnInPreventionIntervalId_);
+  if (type != sampleplayer.Type.AUDIO) {
+    overlay.removeAttribute('style');
+  } else {
+    // if we are in 'audio' mode float metadata around the screen to
+    // prevent screen burn
+    this.burnInPreventionIntervalId_ = setInterval(function () {
+      overlay.style.marginBottom = Math.round(Math.random() * 100) + 'px';
+      overlay.style.marginLeft = Math.round(Math.random() * 600) + 'px';
+    }, sampleplayer.BURN_IN_TIMEOUT);
+  }
+};
+
+
+/**
+ * Sets the state of the player.
+ *
+ * @param {sampleplayer.State} state the new state of the player
+ * @param {boolean=} opt_crossfade true if should cross fade between states
+ * @param {number=} opt_delay the amount of time (in ms) to wait
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.setState_ = function (
+  state, opt_crossfade, opt_delay) {
+  this.log_('setState_: state=' + state + ', crossfade=' + opt_crossfade +
+    ', delay=' + opt_delay);
+  var self = this;
+  self.lastStateTransitionTime_ = Date.now();
+  clearTimeout(self.delay_);
+  if (opt_delay) {
+    var func = function () { self.setState_(state, opt_crossfade); };
+    self.delay_ = setTimeout(func, opt_delay);
+  } else {
+    if (!opt_crossfade) {
+      self.state_ = state;
+      self.element_.setAttribute('state', state);
+      self.updateStallTimer_();
+      self.updateApplicationState_();
+      self.setIdleTimeout_(sampleplayer.IDLE_TIMEOUT[state.toUpperCase()]);
+    } else {
+      var stateTransitionTime = self.lastStateTransitionTime_;
+      sampleplayer.transition_(self.element_, sampleplayer.TRANSITION_DURATION_,
+        function () {
+          // In the case of a crossfade transition, the transition will be completed
+          // even if setState is called during the transition.  We need to be sure
+          // that the requested state is ignored as the latest setState call should
+          // take precedence.
+          if (stateTransitionTime < self.lastStateTransitionTime_) {
+            self.log_('discarded obsolete deferred state(' + state + ').');
+            return;
+          }
+          self.setState_(state, false);
+        });
+    }
+  }
+};
+
+
+/**
+ * Updates the application state if it has changed.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.updateApplicationState_ = function () {
+  this.log_('updateApplicationState_');
+  if (this.mediaManager_) {
+    var idle = this.state_ === sampleplayer.State.IDLE;
+    var media = idle ? null : this.mediaManager_.getMediaInformation();
+    var applicationState = sampleplayer.getApplicationState_(media);
+    if (this.currentApplicationState_ != applicationState) {
+      this.currentApplicationState_ = applicationState;
+      this.receiverManager_.setApplicationState(applicationState);
+    }
+  }
+};
+
+
+/**
+ * Called when the player is ready. We initialize the UI for the launching
+ * and idle screens.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onReady_ = function () {
+  this.log_('onReady');
+  this.setState_(sampleplayer.State.IDLE, false);
+};
+
+
+/**
+ * Called when a sender disconnects from the app.
+ *
+ * @param {cast.receiver.CastReceiverManager.SenderDisconnectedEvent} event
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onSenderDisconnected_ = function (event) {
+  this.log_('onSenderDisconnected');
+  // When the last or only sender is connected to a receiver,
+  // tapping Disconnect stops the app running on the receiver.
+  if (this.receiverManager_.getSenders().length === 0 &&
+    event.reason ===
+    cast.receiver.system.DisconnectReason.REQUESTED_BY_SENDER) {
+    this.receiverManager_.stop();
+  }
+};
+
+
+/**
+ * Called when an error occurs while playing the main content. Transient
+ * network errors of the media element are retried. Otherwise the error is
+ * reported to the senders, once, and shown on the error card.
+ *
+ * @see cast.receiver.MediaManager#onError
+ * @param {!Object} error The error.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onError_ = function (error) {
+  this.log_('onError');
+  var mediaError = this.mediaElement_.error;
+  if (!this.player_ && !this.playerError_ && mediaError &&
+    mediaError.code === MediaError.MEDIA_ERR_NETWORK) {
+    this.retryContent_(sampleplayer.ErrorCode.NETWORK,
+      'Media element network error', 0);
+    return;
+  }
+  if (!this.playerError_) {
+    this.playerError_ = sampleplayer.createError_(
+      sampleplayer.getMediaErrorCode_(mediaError),
+      'Media element error ' + (mediaError ? mediaError.code : 'unknown'));
+  }
+  if (this.reportedError_ === this.playerError_) {
+    this.log_('Error already reported');
+    return;
+  }
+  this.reportedError_ = this.playerError_;
+  this.cancelRetry_();
+  if (this.loadSenderId_) {
+    this.mediaManager_.sendError(this.loadSenderId_, 0,
+      cast.receiver.media.ErrorType.ERROR, undefined,
+      {'error': this.getErrorData_(this.playerError_)});
+  }
+  // Broadcasts the IDLE status, with the error in its customData.
+  this.onErrorOrig_(error);
+  this.showError_(this.playerError_);
+};
+
+
+/**
+ * Starts the stall detection when the content starts buffering or is being
+ * reloaded after a transient failure, and stops it otherwise. Playback that
+ * stays stalled is retried like a transient failure. Ad breaks are not
+ * watched, since resolving their VAST wrappers can take longer.
+ *
+ * The retry budget is reset once the content has played for
+ * RETRY_RESET_DELAY_, so that a flapping stream does not retry forever.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.updateStallTimer_ = function () {
+  var self = this;
+  clearTimeout(this.stallTimerId_);
+  this.stallTimerId_ = null;
+  clearTimeout(this.retryResetTimerId_);
+  this.retryResetTimerId_ = null;
+  if (this.playingAd_ || this.currentAdBreak_) {
+    return;
+  }
+  if (this.state_ === sampleplayer.State.PLAYING && this.retryAttempts_) {
+    this.retryResetTimerId_ = setTimeout(function () {
+      self.retryResetTimerId_ = null;
+      self.retryAttempts_ = 0;
+    }, sampleplayer.RETRY_RESET_DELAY_);
+  }
+  // While RECONNECTING, the reload is only watched once it has started.
+  var reloading = this.state_ === sampleplayer.State.RECONNECTING &&
+    this.retryTimerId_ === null;
+  if (this.state_ === sampleplayer.State.BUFFERING || reloading) {
+    this.stallTimerId_ = setTimeout(function () {
+      self.stallTimerId_ = null;
+      self.retryContent_(sampleplayer.ErrorCode.NETWORK, 'Playback stalled',
+        0);
+    }, sampleplayer.STALL_TIMEOUT_);
+  }
+};
+
+
+/**
+ * Called when media is buffering. If we were previously playing,
+ * transition to the BUFFERING state.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onBuffering_ = function () {
+  this.log_('onBuffering[readyState=' + this.getMediaElement().readyState + ']');
+  if (this.state_ === sampleplayer.State.PLAYING &&
+    this.getMediaElement().readyState < HTMLMediaElement.HAVE_ENOUGH_DATA) {
+    this.setState_(sampleplayer.State.BUFFERING, false);
+  }
+};
+
+
+/**
+ * Called when media has started playing. We transition to the
+ * PLAYING state.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onPlaying_ = function () {
+  this.log_('onPlaying');
+  if (!this.playingAd_) {
+    this.tokenRefreshAttempts_ = 0;
+  }
+  this.cancelDeferredPlay_('media is already playing');
+  var isAudio = this.type_ == sampleplayer.Type.AUDIO;
+  var isLoading = this.state_ == sampleplayer.State.LOADING;
+  var crossfade = isLoading && !isAudio;
+  this.setState_(sampleplayer.State.PLAYING, crossfade);
+};
+
+
+/**
+ * Called when media has been paused. If this is an auto-pause as a result of
+ * buffer underflow, we transition to BUFFERING state; otherwise, if the media
+ * isn't done, we transition to the PAUSED state.
+ *
+ * @param {!Event} event The pause event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onPause_ = function (event) {
+  this.log_('onPause');
+  this.cancelDeferredPlay_('media is paused');
+  if (event.target !== this.getMediaElement()) {
+    this.log_('Ignoring pause of the inactive media element');
+    return;
+  }
+  // Stop the track fading out too.
+  this.finishCrossfade_();
+  if (this.currentAdBreak_ && !this.playingAd_) {
+    this.log_('Content paused for an ad break');
+    return;
+  }
+  var isIdle = this.state_ === sampleplayer.State.IDLE ||
+    this.state_ === sampleplayer.State.RECONNECTING;
+  var isDone = this.getMediaElement().currentTime === this.getMediaElement().duration;
+  var isUnderflow = this.player_ && this.player_.getState()['underflow'];
+  if (isUnderflow) {
+    this.log_('isUnderflow');
+    this.setState_(sampleplayer.State.BUFFERING, false);
+    this.mediaManager_.broadcastStatus(/* includeMedia */ false);
+  } else if (!isIdle && !isDone) {
+    this.setState_(sampleplayer.State.PAUSED, false);
+  }
+  this.updateProgress_();
+};
+
+
+/**
+ * Changes player state reported to sender, if necessary.
+ * @param {!cast.receiver.media.MediaStatus} mediaStatus Media status that is
+ *     supposed to go to sender.
+ * @return {cast.receiver.media.MediaStatus} MediaStatus that will be sent to
+ *     sender.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.customizedStatusCallback_ = function (
+  mediaStatus) {
+  this.log_('customizedStatusCallback_: playerState=' +
+    mediaStatus.playerState + ', this.state_=' + this.state_);
+  // TODO: remove this workaround once MediaManager detects buffering
+  // immediately.
+  if (mediaStatus.playerState === cast.receiver.media.PlayerState.PAUSED &&
+    this.state_ === sampleplayer.State.BUFFERING) {
+    mediaStatus.playerState = cast.receiver.media.PlayerState.BUFFERING;
+  }
+  if (this.currentAdBreak_) {
+    // Keep reporting the main content position while ads are playing, and
+    // do not let senders seek inside an ad.
+    mediaStatus.currentTime = this.contentResumeTime_;
+    mediaStatus.supportedMediaCommands &= ~cast.receiver.media.Command.SEEK;
+    mediaStatus.customData = mediaStatus.customData || {};
+    mediaStatus.customData['adBreak'] = this.getAdBreakStatus_();
+  }
+  if (this.playerError_) {
+    mediaStatus.customData = mediaStatus.customData || {};
+    mediaStatus.customData['error'] = this.getErrorData_(this.playerError_);
+  }
+  if (!this.currentAdBreak_) {
+    mediaStatus.playbackRate = this.playbackRate_;
+  }
+  if (this.currentRendition_ && !this.currentAdBreak_) {
+    mediaStatus.customData = mediaStatus.customData || {};
+    mediaStatus.customData['rendition'] =
+      this.getRenditionData_(this.currentRendition_);
+  }
+  var liveRange = this.currentAdBreak_ ? null : this.getLiveSeekableRange_();
+  if (liveRange) {
+    mediaStatus.customData = mediaStatus.customData || {};
+    mediaStatus.customData['liveSeekableRange'] = {
+      'start': liveRange.start,
+      'end': liveRange.end,
+      'isLiveEdge': liveRange.end - mediaStatus.currentTime <=
+        sampleplayer.LIVE_EDGE_THRESHOLD_
+    };
+  }
+  var items = this.queue_.getItems();
+  if (items.length > 0) {
+    mediaStatus.items = items;
+    mediaStatus.currentItemId = this.queue_.getCurrentItemId();
+    if (this.preloadedItemId_ !== null) {
+      mediaStatus.preloadedItemId = this.preloadedItemId_;
+    }
+    mediaStatus.repeatMode = this.queue_.getRepeatMode();
+    mediaStatus.queueData = {
+      'startIndex': this.queue_.getCurrentIndex(),
+      'repeatMode': this.queue_.getRepeatMode()
+    };
+  }
+  return mediaStatus;
+};
+
+
+/**
+ * Returns the status of the current ad break, reported to senders in the
+ * customData of the media status:
+ * <pre>
+ * "adBreak": {
+ *   "breakId": "preroll",
+ *   "position": 0,
+ *   "clipIndex": 0,
+ *   "clipCount": 3,
+ *   "clipDuration": 15,
+ *   "clipTimeRemaining": 12.5,
+ *   "clipSkipOffset": 5
+ * }
+ * </pre>
+ * where position is the content position (in sec) of the break, or -1 for a
+ * post-roll, and clipSkipOffset is -1 for ads that cannot be skipped. The
+ * clip fields are only reported once an ad is playing.
+ *
+ * @return {!Object} The ad break status.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getAdBreakStatus_ = function () {
+  var adBreak = this.currentAdBreak_;
+  var status = {
+    'breakId': adBreak.id,
+    'position': isFinite(adBreak.timeOffset) ? adBreak.timeOffset : -1
+  };
+  var ad = this.adPod_[this.adIndex_];
+  if (this.playingAd_ && ad) {
+    var duration = this.mediaElement_2.duration;
+    if (isNaN(duration) || duration === Infinity) {
+      duration = ad.duration;
+    }
+    status['clipIndex'] = this.adIndex_;
+    status['clipCount'] = this.adPod_.length;
+    status['clipDuration'] = duration;
+    status['clipTimeRemaining'] =
+      Math.max(0, duration - this.mediaElement_2.currentTime);
+    status['clipSkipOffset'] = isNaN(ad.skipOffset) ? -1 : ad.skipOffset;
+  }
+  return status;
+};
+
+
+/**
+ * Called when we receive a STOP message. We stop the media and transition
+ * to the IDLE state.
+ *
+ * @param {cast.receiver.MediaManager.Event} event The stop event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onStop_ = function (event) {
+  this.log_('onStop');
+  this.cancelDeferredPlay_('media is stopped');
+  this.cancelRetry_();
+  this.finishCrossfade_();
+  this.resetAdBreaks_();
+  this.queue_.clear();
+  this.cancelQueuePreload_();
+  var self = this;
+  sampleplayer.transition_(self.element_, sampleplayer.TRANSITION_DURATION_,
+    function () {
+      self.setState_(sampleplayer.State.IDLE, false);
+      self.onStopOrig_(event);
+    });
+};
+
+
+/**
+ * Called when media has ended. Plays the post-roll ad breaks, if any, and
+ * then the next item of the queue.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onEnded_ = function () {
+  this.log_('onEnded');
+  if (this.gaplessItemId_ !== null && this.queueAutoAdvance_) {
+    this.playGaplessItem_();
+    return;
+  }
+  var postRoll = this.getPostRollAdBreak_();
+  if (postRoll) {
+    this.playAdBreak_(postRoll);
+    return;
+  }
+  if (this.playNextQueueItem_(true)) {
+    return;
+  }
+  // this.setState_(sampleplayer.State.IDLE, true);
+  // this.hidePreviewMode_();
+};
+
+
+/**
+ * Called when media has been aborted. We transition to the IDLE state.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onAbort_ = function () {
+  this.log_('onAbort');
+  if (this.currentAdBreak_) {
+    // The content source is released while ads are playing.
+    return;
+  }
+  this.setState_(sampleplayer.State.IDLE, true);
+  this.hidePreviewMode_();
+};
+
+
+/**
+ * Called periodically during playback, to notify changes in playback position.
+ * We transition to PLAYING state, if we were in BUFFERING or LOADING state.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onProgress_ = function () {
+  // if we were previously buffering, update state to playing
+  if (this.state_ === sampleplayer.State.BUFFERING ||
+    this.state_ === sampleplayer.State.LOADING) {
+    this.setState_(sampleplayer.State.PLAYING, false);
+  }
+  this.updateProgress_();
+  // Ad breaks skipped by a seek are handled by onSeekEnd_.
+  if (!this.currentAdBreak_ && !this.mediaElement_.seeking &&
+    !this.seekPending_) {
+    this.lastContentTime_ = this.mediaElement_.currentTime;
+    var adBreak = this.getDueAdBreak_(this.mediaElement_.currentTime);
+    if (adBreak) {
+      this.playAdBreak_(adBreak);
+    } else {
+      this.updateQueuePreload_();
+      if (this.gaplessItemId_ !== null && this.queueAutoAdvance_ &&
+        this.mediaElement_.duration - this.mediaElement_.currentTime <=
+        this.crossfadeDuration_) {
+        this.playGaplessItem_();
+      }
+    }
+  }
+};
+
+
+/**
+ * Preloads the next item of the queue, and shows it as "up next", once the
+ * current item is within the preloadTime of the next item from its end. The
+ * preload is cancelled if the queue changes and the next item is no longer
+ * the one preloaded.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.updateQueuePreload_ = function () {
+  var nextItem = this.queue_.peekNext();
+  if (nextItem && nextItem.itemId === this.queue_.getCurrentItemId()) {
+    // A repeated item is restarted in place.
+    nextItem = null;
+  }
+  if (this.preloadedItemId_ !== null &&
+    (!nextItem || nextItem.itemId !== this.preloadedItemId_)) {
+    this.log_('Next queue item changed, cancelling preload');
+    this.cancelQueuePreload_();
+  }
+  var remainingTime = this.mediaElement_.duration -
+    this.mediaElement_.currentTime;
+  if (!nextItem || !this.queueAutoAdvance_ || this.preloadedItemId_ !== null ||
+    !isFinite(remainingTime)) {
+    return;
+  }
+  var preloadTime = typeof nextItem.preloadTime === 'number' ?
+    nextItem.preloadTime : sampleplayer.QUEUE_PRELOAD_TIME_;
+  if (remainingTime <= preloadTime) {
+    this.log_('Preloading queue item ' + nextItem.itemId);
+    this.preloadedItemId_ = nextItem.itemId;
+    if (this.canPlayGapless_(nextItem)) {
+      this.bufferGaplessItem_(nextItem);
+    } else {
+      this.preload(nextItem.media, nextItem.customData);
+    }
+  }
+};
+
+
+/**
+ * Returns whether the given queue item can be buffered in the second media
+ * element and played right after the current one. This is the case for
+ * audio tracks played by the media element, without ads.
+ *
+ * @param {!cast.receiver.media.QueueItem} item The next queue item.
+ * @return {boolean} Whether the item can be played gapless.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.canPlayGapless_ = function (item) {
+  var media = item.media || {};
+  return this.type_ === sampleplayer.Type.AUDIO && !this.player_ &&
+    sampleplayer.getType_(media) === sampleplayer.Type.AUDIO &&
+    !sampleplayer.getProtocolFunction_(media) &&
+    !(item.customData && item.customData['ads']) &&
+    !this.getPostRollAdBreak_();
+};
+
+
+/**
+ * Starts buffering the given queue item in the second media element.
+ *
+ * @param {!cast.receiver.media.QueueItem} item The next queue item.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.bufferGaplessItem_ = function (item) {
+  this.log_('bufferGaplessItem_: ' + item.itemId);
+  // The second media element may still hold the track fading out.
+  this.finishCrossfade_();
+  this.gaplessItemId_ = item.itemId;
+  this.mediaElement_2.preload = 'auto';
+  this.mediaElement_2.src = item.media.contentId;
+  this.mediaElement_2.load();
+};
+
+
+/**
+ * Plays the queue item buffered in the second media element, which becomes
+ * the main content media element. The previous track fades out over the
+ * crossfade duration, then its media element becomes the second media
+ * element.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.playGaplessItem_ = function () {
+  var self = this;
+  var item = this.queue_.getItem(/** @type {number} */ (this.gaplessItemId_));
+  this.gaplessItemId_ = null;
+  this.preloadedItemId_ = null;
+  if (!item) {
+    return;
+  }
+  this.log_('playGaplessItem_: ' + item.itemId);
+  this.finishCrossfade_();
+  var previousElement = this.mediaElement_;
+  sampleplayer.toggleEventListeners_(previousElement, this.contentListeners_,
+    false);
+  sampleplayer.toggleEventListeners_(this.mediaElement_2, this.adListeners_,
+    false);
+  this.mediaElement_ = this.mediaElement_2;
+  this.mediaElement_2 = previousElement;
+  sampleplayer.toggleEventListeners_(this.mediaElement_,
+    this.contentListeners_, true);
+  this.mediaElement_.style.display = '';
+  this.mediaElement_2.style.display = 'none';
+  this.setPlaybackRate_(this.playbackRate_);
+  this.mediaElement_.volume = this.crossfadeDuration_ > 0 ? 0 : 1;
+  this.mediaElement_.play();
+
+  this.queue_.setCurrentItemId(item.itemId);
+  this.resetAdBreaks_();
+  this.activeTrackIds_ = item.activeTrackIds || [];
+  this.mediaManager_.setMediaElement(this.mediaElement_);
+  this.mediaManager_.setMediaInformation(item.media, /* broadcast */ true);
+  this.loadMetadata_(item.media);
+
+  var nextElement = this.mediaElement_;
+  this.crossfadeDoneFunc_ = function () {
+    self.crossfadeIntervalId_ = undefined;
+    self.crossfadeDoneFunc_ = null;
+    previousElement.pause();
+    previousElement.removeAttribute('src');
+    previousElement.load();
+    previousElement.volume = 1;
+    nextElement.volume = 1;
+    sampleplayer.toggleEventListeners_(previousElement, self.adListeners_,
+      true);
+  };
+  this.crossfadeIntervalId_ = sampleplayer.crossfade_(previousElement,
+    this.mediaElement_, this.crossfadeDuration_, this.crossfadeDoneFunc_);
+};
+
+
+/**
+ * Ends the running crossfade of a gapless audio queue, if any, right away.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.finishCrossfade_ = function () {
+  clearInterval(this.crossfadeIntervalId_);
+  if (this.crossfadeDoneFunc_) {
+    this.crossfadeDoneFunc_();
+  }
+};
+
+
+/**
+ * Cancels the preload of the next queue item and hides it.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.cancelQueuePreload_ = function () {
+  this.preloadedItemId_ = null;
+  if (this.gaplessItemId_ !== null) {
+    this.gaplessItemId_ = null;
+    this.mediaElement_2.removeAttribute('src');
+    this.mediaElement_2.load();
+  }
+  if (this.preloadPlayer_) {
+    this.preloadPlayer_.unload();
+    this.preloadPlayer_ = null;
+  }
+  this.hidePreviewMode_();
+};
+
+
+/**
+ * Updates the current time and progress bar elements.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.updateProgress_ = function () {
+  // Update the time and the progress bar
+  if (!sampleplayer.isCastForAudioDevice_()) {
+    if (this.isLiveStream_ && !this.playingAd_) {
+      var range = this.getLiveSeekableRange_();
+      if (range) {
+        this.updateLiveProgress_(range);
+      }
+      return;
+    }
+    var curTime = this.getMediaElement().currentTime;
+    var totalTime = this.getMediaElement().duration;
+    if (!isNaN(curTime) && !isNaN(totalTime)) {
+      var pct = 100 * (curTime / totalTime);
+      this.curTimeElement_.innerText = sampleplayer.formatDuration_(curTime);
+      this.totalTimeElement_.innerText = sampleplayer.formatDuration_(totalTime);
+      this.progressBarInnerElement_.style.width = pct + '%';
+      this.progressBarThumbElement_.style.left = pct + '%';
+      // Handle preview mode
+      if (this.displayPreviewMode_) {
+        this.previewModeTimerElement_.innerText = "" + Math.round(totalTime - curTime);
+      }
+    }
+  }
+};
+
+
+/**
+ * Updates the live badge and, if the stream has a DVR window, the progress
+ * bar: its start is the start of the window, its end the live edge.
+ *
+ * @param {!sampleplayer.SeekableRange} range The seekable window.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.updateLiveProgress_ = function (range) {
+  var curTime = this.mediaElement_.currentTime;
+  var windowDuration = range.end - range.start;
+  var behindLive = Math.max(0, range.end - curTime);
+  var isDvr = windowDuration >= sampleplayer.MIN_DVR_WINDOW_;
+  var isLiveEdge = behindLive <= sampleplayer.LIVE_EDGE_THRESHOLD_;
+  this.element_.setAttribute('dvr', isDvr.toString());
+  this.element_.setAttribute('live-edge', isLiveEdge.toString());
+  this.liveBadgeElement_.innerText = isLiveEdge ? 'LIVE' :
+    '-' + sampleplayer.formatDuration_(behindLive);
+  if (isDvr) {
+    var position = Math.min(Math.max(curTime - range.start, 0),
+      windowDuration);
+    var pct = 100 * (position / windowDuration);
+    this.curTimeElement_.innerText = sampleplayer.formatDuration_(position);
+    this.totalTimeElement_.innerText =
+      sampleplayer.formatDuration_(windowDuration);
+    this.progressBarInnerElement_.style.width = pct + '%';
+    this.progressBarThumbElement_.style.left = pct + '%';
+  }
+};
+
+
+/**
+ * Returns the seekable window of the live stream being played.
+ *
+ * @return {?sampleplayer.SeekableRange} The seekable window, or null if the
+ *     media is not live or cannot be seeked yet.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getLiveSeekableRange_ = function () {
+  var seekable = this.mediaElement_.seekable;
+  if (!this.isLiveStream_ || !seekable || seekable.length === 0) {
+    return null;
+  }
+  return {
+    start: seekable.start(0),
+    end: seekable.end(seekable.length - 1)
+  };
+};
+
+
+/**
+ * Handles SEEK_TO_LIVE_EDGE messages: seeks a live stream back to its live
+ * edge, and returns its seekable window. The seek stops half the live edge
+ * threshold short of the end of the window, so that playback does not
+ * stall waiting for the next segment.
+ * <pre>
+ * {"type": "SEEK_TO_LIVE_EDGE"}
+ * </pre>
+ *
+ * @param {!Object} message The message.
+ * @return {!Object} The response data.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onSeekToLiveEdgeMessage_ = function (
+  message) {
+  var range = this.getLiveSeekableRange_();
+  if (!range || this.currentAdBreak_) {
+    throw new sampleplayer.MessageError(
+      sampleplayer.MessageErrorReason.NOT_LIVE,
+      'No live stream is playing');
+  }
+  var time = Math.max(range.start,
+    range.end - sampleplayer.LIVE_EDGE_THRESHOLD_ / 2);
+  this.log_('Seeking to live edge: ' + time);
+  this.mediaElement_.currentTime = time;
+  if (this.mediaElement_.paused) {
+    this.mediaElement_.play();
+  }
+  return {'liveSeekableRange': {'start': range.start, 'end': range.end}};
+};
+
+
+/**
+ * Callback called when user starts seeking
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onSeekStart_ = function () {
+  this.log_('onSeekStart');
+  clearTimeout(this.seekingTimeoutId_);
+  this.element_.classList.add('seeking');
+  this.seekStartTime_ = this.lastContentTime_;
+  this.seekPending_ = true;
+};
+
+
+/**
+ * Callback called when user stops seeking. If the seek jumped over ad breaks
+ * that were not played, the last of them is played first and the content
+ * then resumes at the requested position (snapback).
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onSeekEnd_ = function () {
+  this.log_('onSeekEnd');
+  clearTimeout(this.seekingTimeoutId_);
+  this.seekingTimeoutId_ = sampleplayer.addClassWithTimeout_(this.element_,
+    'seeking', 3000);
+  this.seekPending_ = false;
+  if (this.currentAdBreak_) {
+    return;
+  }
+  var seekEndTime = this.mediaElement_.currentTime;
+  var snapbackAdBreak = null;
+  for (var i = 0; i < this.adBreaks_.length; i++) {
+    var adBreak = this.adBreaks_[i];
+    if (adBreak.played || !(adBreak.timeOffset > this.seekStartTime_ &&
+      adBreak.timeOffset <= seekEndTime)) {
+      continue;
+    }
+    if (snapbackAdBreak && snapbackAdBreak.timeOffset < adBreak.timeOffset) {
+      snapbackAdBreak.played = true;
+    } else if (snapbackAdBreak) {
+      adBreak.played = true;
+      continue;
+    }
+    snapbackAdBreak = adBreak;
+  }
+  this.lastContentTime_ = seekEndTime;
+  if (snapbackAdBreak) {
+    this.log_('Seek skipped ad break ' + snapbackAdBreak.id);
+    this.playAdBreak_(snapbackAdBreak);
+  }
+};
+
+
+/**
+ * Called when the player is added/removed from the screen because HDMI
+ * input has changed. If we were playing but no longer visible, pause
+ * the currently playing media.
+ *
+ * @see cast.receiver.CastReceiverManager#onVisibilityChanged
+ * @param {!cast.receiver.CastReceiverManager.VisibilityChangedEvent} event
+ *    Event fired when visibility of application is changed.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onVisibilityChanged_ = function (event) {
+  this.log_('onVisibilityChanged');
+  if (!event.isVisible) {
+    this.getMediaElement().pause();
+    this.mediaManager_.broadcastStatus(false);
+  }
+};
+
+
+/**
+ * Called when we receive a PRELOAD message.
+ *
+ * @see castplayer.CastPlayer#load
+ * @param {cast.receiver.MediaManager.Event} event The load event.
+ * @return {boolean} Whether the item can be preloaded.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onPreload_ = function (event) {
+  this.log_('onPreload_');
+  var loadRequestData =
+      /** @type {!cast.receiver.MediaManager.LoadRequestData} */ (event.data);
+  return this.preload(loadRequestData.media, loadRequestData.customData);
+};
+
+
+/**
+ * Called when we receive a CANCEL_PRELOAD message.
+ *
+ * @see castplayer.CastPlayer#load
+ * @param {cast.receiver.MediaManager.Event} event The load event.
+ * @return {boolean} Whether the item can be preloaded.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onCancelPreload_ = function (event) {
+  this.log_('onCancelPreload_');
+  if (this.preloadedItemId_ !== null) {
+    this.log_('Up next cancelled, the queue stops after this item');
+    this.queueAutoAdvance_ = false;
+    this.cancelQueuePreload_();
+  }
+  this.hidePreviewMode_();
+  return true;
+};
+
+
+/**
+ * Registers the handler of a type of player namespace messages, replacing
+ * the handler previously registered for this type, if any.
+ *
+ * @param {string} type The message type.
+ * @param {sampleplayer.MessageHandler} handler The handler.
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.registerMessageHandler = function (type,
+  handler) {
+  this.messageHandlers_[type] = handler;
+};
+
+
+/**
+ * Called when we receive a message on the player namespace. Calls the
+ * handler of the message type and replies with its response or error.
+ *
+ * @see sampleplayer.NAMESPACE
+ * @param {!cast.receiver.CastMessageBus.Event} event The message event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onMessage_ = function (event) {
+  var message = event.data || {};
+  var type = message['type'];
+  this.log_('onMessage_: ' + type);
+  var reply = {'requestId': message['requestId']};
+  var handler = this.messageHandlers_[type];
+  try {
+    if (!handler) {
+      throw new sampleplayer.MessageError(
+        sampleplayer.MessageErrorReason.INVALID_REQUEST,
+        'Unknown message type: ' + type);
+    }
+    reply['type'] = 'RESPONSE';
+    reply['data'] = handler(message, event.senderId) || {};
+  } catch (e) {
+    this.log_('Message error: ' + (e.description || e));
+    reply = {
+      'type': 'ERROR',
+      'requestId': message['requestId'],
+      'reason': e instanceof sampleplayer.MessageError ? e.reason :
+        sampleplayer.MessageErrorReason.INTERNAL_ERROR,
+      'description': e instanceof sampleplayer.MessageError ?
+        e.description : String(e)
+    };
+  }
+  this.messageBus_.send(event.senderId, reply);
+};
+
+
+/**
+ * Handles SKIP_AD messages: skips the current ad, once its skip offset is
+ * reached.
+ *
+ * @param {!Object} message The message.
+ * @return {!Object} The response data.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onSkipAdMessage_ = function (message) {
+  if (!this.skipAd()) {
+    throw new sampleplayer.MessageError(
+      sampleplayer.MessageErrorReason.AD_NOT_SKIPPABLE);
+  }
+  return {};
+};
+
+
+/**
+ * Handles GET_RENDITIONS messages: returns the video renditions of the
+ * current media and the one being played.
+ * <pre>
+ * {"type": "GET_RENDITIONS"}
+ * </pre>
+ *
+ * @param {!Object} message The message.
+ * @return {!Object} The response data.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onGetRenditionsMessage_ = function (
+  message) {
+  return {
+    'renditions': this.getRenditions_().map(
+      this.getRenditionData_.bind(this)),
+    'current': this.currentRendition_ ?
+      this.getRenditionData_(this.currentRendition_) : null
+  };
+};
+
+
+/**
+ * Handles SET_RENDITION messages: locks playback to the video rendition of
+ * the given bitrate (in bits/s), or goes back to adaptive bitrate if the
+ * bitrate is null. Renditions above the caps of the media cannot be locked.
+ * The lock applies to the segments requested from then on. While ads play
+ * and the content is unloaded, the lock is kept and checked against the
+ * renditions of the content when it resumes.
+ * <pre>
+ * {"type": "SET_RENDITION", "bitrate": 2500000}
+ * </pre>
+ *
+ * @param {!Object} message The message.
+ * @return {!Object} The response data.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onSetRenditionMessage_ = function (
+  message) {
+  var bitrate = message['bitrate'];
+  if (bitrate !== null) {
+    // The renditions of content unloaded for ads are checked on resume.
+    var isPending = !this.player_ && !!this.currentAdBreak_;
+    var isAvailable = isPending || this.getRenditions_().some(
+      function (rendition) {
+        return rendition.bitrate === bitrate;
+      });
+    if (!isAvailable || !this.isRenditionAllowed_(bitrate)) {
+      throw new sampleplayer.MessageError(
+        sampleplayer.MessageErrorReason.INVALID_PARAMS,
+        'No rendition can be played at bitrate ' + bitrate);
+    }
+  }
+  this.log_('Locked video rendition: ' + bitrate);
+  this.lockedBitrate_ = bitrate;
+  return {'lockedBitrate': bitrate};
+};
+
+
+/**
+ * Handles SET_PLAYBACK_RATE messages: changes the playback rate of the main
+ * content, between 0.5 and 2. The media manager of this SDK has no playback
+ * rate command, so senders use the player namespace.
+ * <pre>
+ * {"type": "SET_PLAYBACK_RATE", "playbackRate": 1.5}
+ * </pre>
+ *
+ * @param {!Object} message The message.
+ * @return {!Object} The response data.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onSetPlaybackRateMessage_ = function (
+  message) {
+  var rate = message['playbackRate'];
+  if (!sampleplayer.isValidPlaybackRate_(rate)) {
+    throw new sampleplayer.MessageError(
+      sampleplayer.MessageErrorReason.INVALID_PARAMS,
+      'playbackRate must be between ' + sampleplayer.MIN_PLAYBACK_RATE_ +
+      ' and ' + sampleplayer.MAX_PLAYBACK_RATE_);
+  }
+  this.setPlaybackRate_(rate);
+  this.mediaManager_.broadcastStatus(/* includeMedia */ false);
+  return {'playbackRate': rate};
+};
+
+
+/**
+ * Sets the playback rate of the main content and shows it next to the
+ * current time. The rate is also the default rate of the media element, so
+ * it survives reloads of the content (ad breaks, retries). Ads always play
+ * at the normal rate. Text tracks and Media Player Library captions follow
+ * the media time, so they stay in sync at any rate.
+ *
+ * @param {number} rate The playback rate.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.setPlaybackRate_ = function (rate) {
+  this.log_('setPlaybackRate_: ' + rate);
+  this.playbackRate_ = rate;
+  this.mediaElement_.defaultPlaybackRate = rate;
+  this.mediaElement_.playbackRate = rate;
+  this.mediaElement_2.defaultPlaybackRate = 1;
+  this.mediaElement_2.playbackRate = 1;
+  this.element_.setAttribute('playback-rate', String(rate));
+  this.rateBadgeElement_.innerText = rate + '\u00d7';
+};
+
+
+/**
+ * Handles SHOW_TOAST messages: shows a message over the player for the given
+ * duration (in sec).
+ * <pre>
+ * {"type": "SHOW_TOAST", "message": "Hello", "duration": 3}
+ * </pre>
+ *
+ * @param {!Object} message The message.
+ * @return {!Object} The response data.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onShowToastMessage_ = function (message) {
+  var text = message['message'];
+  if (typeof text !== 'string' || !text) {
+    throw new sampleplayer.MessageError(
+      sampleplayer.MessageErrorReason.INVALID_PARAMS, 'message is required');
+  }
+  var duration = Number(message['duration']) || sampleplayer.TOAST_DURATION_;
+  this.showToast_(text, duration);
+  return {};
+};
+
+
+/**
+ * Shows a toast message, in place of the current one if any.
+ *
+ * @param {string} text The message.
+ * @param {number} duration The time (in sec) the message is shown.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.showToast_ = function (text, duration) {
+  this.log_('showToast_: ' + text);
+  sampleplayer.setInnerText_(this.toastElement_, text);
+  clearTimeout(this.toastTimerId_);
+  this.toastTimerId_ = sampleplayer.addClassWithTimeout_(this.element_,
+    'toast', duration * 1000);
+};
+
+
+/**
+ * Handles SET_THEME messages: changes the theme of the player UI.
+ * <pre>
+ * {"type": "SET_THEME", "theme": "light"}
+ * </pre>
+ *
+ * @param {!Object} message The message.
+ * @return {!Object} The response data.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onSetThemeMessage_ = function (message) {
+  this.setTheme_(message['theme']);
+  return {'theme': message['theme']};
+};
+
+
+/**
+ * Changes the theme of the player UI.
+ *
+ * @param {*} theme The theme.
+ * @throws {sampleplayer.MessageError} If the theme is not supported.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.setTheme_ = function (theme) {
+  for (var key in sampleplayer.Theme) {
+    if (sampleplayer.Theme[key] === theme) {
+      this.log_('setTheme_: ' + theme);
+      this.element_.setAttribute('theme', theme);
+      return;
+    }
+  }
+  throw new sampleplayer.MessageError(
+    sampleplayer.MessageErrorReason.INVALID_PARAMS,
+    'Unknown theme: ' + theme);
+};
+
+
+/**
+ * Handles GET_DIAGNOSTICS messages: returns the state of the player, to
+ * help debugging playback issues from a sender.
+ *
+ * @param {!Object} message The message.
+ * @return {!Object} The response data.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onGetDiagnosticsMessage_ = function (
+  message) {
+  var mediaElement = this.getMediaElement();
+  var quality = mediaElement.getVideoPlaybackQuality ?
+    mediaElement.getVideoPlaybackQuality() : null;
+  var buffered = [];
+  for (var i = 0; i < mediaElement.buffered.length; i++) {
+    buffered.push([mediaElement.buffered.start(i),
+      mediaElement.buffered.end(i)]);
+  }
+  return {
+    'state': this.state_,
+    'type': this.type_,
+    'live': this.isLiveStream_,
+    'currentTime': mediaElement.currentTime,
+    'duration': isFinite(mediaElement.duration) ? mediaElement.duration : -1,
+    'buffered': buffered,
+    'droppedFrames': quality ? quality.droppedVideoFrames : null,
+    'totalFrames': quality ? quality.totalVideoFrames : null,
+    'mediaPlayerLibrary': this.player_ ? this.player_.getState() : null,
+    'playingAd': this.playingAd_,
+    'protectionSystem': this.drmConfig_ ?
+      this.drmConfig_.protectionSystem : null,
+    'lastError': this.playerError_ ? this.playerError_.code : null,
+    'retryAttempts': this.retryAttempts_,
+    'queueLength': this.queue_.getItems().length,
+    'currentItemId': this.queue_.getCurrentItemId(),
+    'preferences': this.preferences_,
+    'userAgent': navigator.userAgent
+  };
+};
+
+
+/**
+ * Handles SET_PREFERENCES messages: merges the given preferences into the
+ * user preferences, stores them, and returns all of them. A "theme"
+ * preference changes the theme of the player UI. A "captions" preference
+ * selects the text track of media loaded without active tracks:
+ * <pre>
+ * {"type": "SET_PREFERENCES", "preferences": {
+ *   "theme": "light",
+ *   "captions": {
+ *     "enabled": true,
+ *     "languages": ["es", "en"],
+ *     "preferSdh": false,
+ *     "preferForced": false
+ *   }
+ * }}
+ * </pre>
+ * Nothing is changed if one of the known preferences is invalid.
+ *
+ * @param {!Object} message The message.
+ * @return {!Object} The response data.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onSetPreferencesMessage_ = function (
+  message) {
+  var preferences = message['preferences'];
+  if (!sampleplayer.isPlainObject_(preferences)) {
+    throw new sampleplayer.MessageError(
+      sampleplayer.MessageErrorReason.INVALID_PARAMS,
+      'preferences must be an object');
+  }
+  for (var key in preferences) {
+    var error = sampleplayer.getPreferenceError_(key, preferences[key]);
+    if (error) {
+      throw new sampleplayer.MessageError(
+        sampleplayer.MessageErrorReason.INVALID_PARAMS, error);
+    }
+  }
+  if ('theme' in preferences) {
+    this.setTheme_(preferences['theme']);
+  }
+  for (var name in preferences) {
+    this.preferences_[name] = preferences[name];
+  }
+  this.savePreferences_();
+  return {'preferences': this.preferences_};
+};
+
+
+/**
+ * Stores the user preferences in the local storage.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.savePreferences_ = function () {
+  try {
+    window.localStorage.setItem(sampleplayer.PREFERENCES_STORAGE_KEY_,
+      JSON.stringify(this.preferences_));
+  } catch (e) {
+    this.log_('Could not store preferences: ' + e);
+  }
+};
+
+
+/**
+ * Returns the caption preferences of the user. Without preferred languages,
+ * captions are in the language of the user.
+ *
+ * @return {!sampleplayer.CaptionPreferences} The caption preferences.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getCaptionPreferences_ = function () {
+  var captions = this.preferences_['captions'] || {};
+  var languages = captions['languages'];
+  return {
+    enabled: !!captions['enabled'],
+    languages: Array.isArray(languages) && languages.length > 0 ?
+      languages : [this.getLanguage_()],
+    preferSdh: !!captions['preferSdh'],
+    preferForced: !!captions['preferForced']
+  };
+};
+
+
+/**
+ * Returns a user preference set by a sender.
+ *
+ * @param {string} name The preference name.
+ * @return {*} The preference value, undefined if not set.
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.getPreference = function (name) {
+  return this.preferences_[name];
+};
+
+
+/**
+ * Called when we receive a QUEUE_LOAD message. Replaces the queue and plays
+ * its start item. For audio queues, the customData can set the duration (in
+ * sec) of the crossfade between tracks:
+ * <pre>
+ * "customData": {
+ *   "crossfadeDuration": 2
+ * }
+ * </pre>
+ *
+ * @param {!cast.receiver.MediaManager.Event} event The queue load event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onQueueLoad_ = function (event) {
+  var data = event.data;
+  var items = data.items || [];
+  var startIndex = data.startIndex || 0;
+  this.log_('onQueueLoad_: ' + items.length + ' items');
+  if (!items[startIndex]) {
+    this.sendQueueError_(event);
+    return;
+  }
+  this.queue_.load(items, startIndex, data.repeatMode);
+  this.crossfadeDuration_ = Number(data.customData &&
+    data.customData['crossfadeDuration']) || 0;
+  this.loadQueueItem_(this.queue_.getCurrentItem(), data.requestId,
+    data.currentTime);
+};
+
+
+/**
+ * Called when we receive a QUEUE_INSERT message. Adds the items to the queue
+ * and, if requested, plays one of them.
+ *
+ * @param {!cast.receiver.MediaManager.Event} event The queue insert event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onQueueInsert_ = function (event) {
+  var data = event.data;
+  var items = data.items || [];
+  this.log_('onQueueInsert_: ' + items.length + ' items');
+  if (items.length === 0) {
+    this.sendQueueError_(event);
+    return;
+  }
+  var wasEmpty = !this.queue_.getCurrentItem();
+  var inserted = this.queue_.insert(items, data.insertBefore);
+  var item = null;
+  if (typeof data.currentItemIndex === 'number') {
+    item = inserted[data.currentItemIndex] || null;
+  } else if (typeof data.currentItemId === 'number') {
+    item = this.queue_.getItem(data.currentItemId);
+  } else if (wasEmpty) {
+    item = this.queue_.getCurrentItem();
+  }
+  this.finishQueueRequest_(data, item);
+};
+
+
+/**
+ * Called when we receive a QUEUE_UPDATE message. Updates the queue items
+ * and, if requested, changes the current item.
+ *
+ * @param {!cast.receiver.MediaManager.Event} event The queue update event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onQueueUpdate_ = function (event) {
+  var data = event.data;
+  this.log_('onQueueUpdate_');
+  this.queue_.update(data.items || []);
+  if (data.repeatMode) {
+    this.queue_.setRepeatMode(data.repeatMode);
+  }
+  var item = null;
+  if (typeof data.currentItemId === 'number' &&
+    data.currentItemId !== this.queue_.getCurrentItemId()) {
+    item = this.queue_.getItem(data.currentItemId);
+  } else if (data.jump) {
+    item = this.queue_.getItemAtOffset(data.jump);
+  }
+  this.finishQueueRequest_(data, item);
+};
+
+
+/**
+ * Called when we receive a QUEUE_REMOVE message. Removes the items from the
+ * queue. If the current item is removed, the next one is played, or the
+ * playback stops if there is none.
+ *
+ * @param {!cast.receiver.MediaManager.Event} event The queue remove event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onQueueRemove_ = function (event) {
+  var data = event.data;
+  var itemIds = data.itemIds || [];
+  this.log_('onQueueRemove_: ' + itemIds.join(','));
+  if (itemIds.length === 0) {
+    this.sendQueueError_(event);
+    return;
+  }
+  var currentRemoved = this.queue_.remove(itemIds);
+  var item = null;
+  if (typeof data.currentItemId === 'number') {
+    item = this.queue_.getItem(data.currentItemId);
+  }
+  if (!item && currentRemoved) {
+    item = this.queue_.getCurrentItem();
+    if (!item) {
+      this.cancelDeferredPlay_('queue is empty');
+      this.resetAdBreaks_();
+      this.mediaManager_.resetMediaElement(
+        cast.receiver.media.IdleReason.CANCELLED, true, data.requestId);
+      this.setState_(sampleplayer.State.IDLE, true);
+      return;
+    }
+  }
+  this.finishQueueRequest_(data, item);
+};
+
+
+/**
+ * Called when we receive a QUEUE_REORDER message. Moves the items in the
+ * queue and, if requested, changes the current item.
+ *
+ * @param {!cast.receiver.MediaManager.Event} event The queue reorder event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onQueueReorder_ = function (event) {
+  var data = event.data;
+  var itemIds = data.itemIds || [];
+  this.log_('onQueueReorder_: ' + itemIds.join(','));
+  if (itemIds.length === 0) {
+    this.sendQueueError_(event);
+    return;
+  }
+  this.queue_.reorder(itemIds, data.insertBefore);
+  var item = null;
+  if (typeof data.currentItemId === 'number' &&
+    data.currentItemId !== this.queue_.getCurrentItemId()) {
+    item = this.queue_.getItem(data.currentItemId);
+  }
+  this.finishQueueRequest_(data, item);
+};
+
+
+/**
+ * Completes a queue request: plays the given item, or just reports the new
+ * queue to the senders.
+ *
+ * @param {!Object} data The queue request.
+ * @param {?cast.receiver.media.QueueItem} item The item to play, if any.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.finishQueueRequest_ = function (data,
+  item) {
+  if (item) {
+    this.loadQueueItem_(item, data.requestId, data.currentTime);
+  } else {
+    this.mediaManager_.broadcastStatus(/* includeMedia */ false,
+      data.requestId);
+  }
+};
+
+
+/**
+ * Rejects an invalid queue request.
+ *
+ * @param {!cast.receiver.MediaManager.Event} event The queue event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.sendQueueError_ = function (event) {
+  this.log_('Invalid queue request');
+  this.mediaManager_.sendError(event.senderId, event.data.requestId,
+    cast.receiver.media.ErrorType.INVALID_REQUEST,
+    cast.receiver.media.ErrorReason.INVALID_PARAMS);
+};
+
+
+/**
+ * Plays the next item of the queue, according to its repeat mode, if any and
+ * if the queue was not stopped. When the item to repeat is still loaded, it
+ * is restarted in place without going through the LOADING state.
+ *
+ * @param {boolean} canRestart Whether the current item is still loaded.
+ * @return {boolean} Whether there is a next item.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.playNextQueueItem_ = function (canRestart) {
+  if (!this.queueAutoAdvance_) {
+    this.log_('Queue stopped after item ' + this.queue_.getCurrentItemId());
+    return false;
+  }
+  var previousItemId = this.queue_.getCurrentItemId();
+  var item = this.queue_.next();
+  if (!item) {
+    return false;
+  }
+  if (canRestart && item.itemId === previousItemId) {
+    this.log_('Repeating item ' + item.itemId);
+    this.mediaElement_.currentTime = 0;
+    this.mediaElement_.play();
+  } else {
+    this.loadQueueItem_(item);
+  }
+  return true;
+};
+
+
+/**
+ * Makes the given item the current item of the queue and loads it.
+ *
+ * @param {!cast.receiver.media.QueueItem} item The item.
+ * @param {number=} opt_requestId The id of the request that changed the
+ *     current item.
+ * @param {number=} opt_currentTime The position (in sec) to start at,
+ *     instead of the start time of the item.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.loadQueueItem_ = function (item,
+  opt_requestId, opt_currentTime) {
+  this.log_('loadQueueItem_: ' + item.itemId);
+  this.queue_.setCurrentItemId(item.itemId);
+  // The preloaded player, if any, is picked up by loadVideo_.
+  this.preloadedItemId_ = null;
+  this.queueAutoAdvance_ = true;
+  var loadRequest = new cast.receiver.MediaManager.LoadRequestData();
+  loadRequest.requestId = opt_requestId || 0;
+  loadRequest.media = item.media;
+  loadRequest.autoplay = item.autoplay !== false;
+  loadRequest.currentTime = typeof opt_currentTime === 'number' ?
+    opt_currentTime : item.startTime || 0;
+  loadRequest.activeTrackIds = item.activeTrackIds;
+  loadRequest.customData = item.customData;
+  // Keep the playback rate from one item to the next.
+  loadRequest['playbackRate'] = this.playbackRate_;
+  this.loadingQueueItem_ = true;
+  this.mediaManager_.load(loadRequest);
+  this.loadingQueueItem_ = false;
+};
+
+
+/**
+ * Called when we receive a LOAD message. Calls load().
+ *
+ * @see sampleplayer#load
+ * @param {cast.receiver.MediaManager.Event} event The load event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onLoad_ = function (event) {
+  this.log_('onLoad_');
+  this.cancelDeferredPlay_('new media is loaded');
+  if (!this.loadingQueueItem_) {
+    // A LOAD message replaces the queue with the loaded media.
+    this.preloadedItemId_ = null;
+    this.queueAutoAdvance_ = true;
+    var loadRequest = event.data;
+    this.queue_.load([/** @type {!cast.receiver.media.QueueItem} */ ({
+      media: loadRequest.media,
+      autoplay: loadRequest.autoplay,
+      startTime: loadRequest.currentTime,
+      activeTrackIds: loadRequest.activeTrackIds,
+      customData: loadRequest.customData
+    })], 0);
+  }
+  this.load(new cast.receiver.MediaManager.LoadInfo(
+      /** @type {!cast.receiver.MediaManager.LoadRequestData} */(event.data),
+    event.senderId));
+};
+
+
+/**
+ * Called when we receive a EDIT_TRACKS_INFO message.
+ *
+ * @param {!cast.receiver.MediaManager.Event} event The editTracksInfo event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onEditTracksInfo_ = function (event) {
+  this.log_('onEditTracksInfo');
+  this.onEditTracksInfoOrig_(event);
+  if (!event.data || !event.data.activeTrackIds) {
+    return;
+  }
+  this.activeTrackIds_ = event.data.activeTrackIds;
+  this.restoreActiveTracks_();
+  // Keep the audio stream when the sender only listed text tracks, so that
+  // it is restored after ad breaks.
+  var tracksInfo = this.hasInBandStreams_() ?
+    this.readInBandTracksInfo_() : null;
+  if (!tracksInfo) {
+    return;
+  }
+  if (this.textTrackType_ == sampleplayer.TextTrackType.EMBEDDED) {
+    this.activeTrackIds_ = tracksInfo.activeTrackIds;
+  } else if (this.inBandTrackIdOffset_) {
+    var offset = this.inBandTrackIdOffset_;
+    this.activeTrackIds_ = this.activeTrackIds_.filter(function (trackId) {
+      return trackId <= offset;
+    }).concat(tracksInfo.tracks.filter(function (track) {
+      return track.type === cast.receiver.media.TrackType.AUDIO &&
+        tracksInfo.activeTrackIds.indexOf(track.trackId) >= 0;
+    }).map(function (track) {
+      return track.trackId;
+    }));
+  }
+};
+
+
+/**
+ * Enables the active tracks in the Media Player Library. If the captions are
+ * embedded or ttml we need to enable/disable tracks as needed (vtt is
+ * processed by the media manager).
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.restoreActiveTracks_ = function () {
+  if (!this.textTrackType_) {
+    return;
+  }
+  var mediaInformation = this.mediaManager_.getMediaInformation() || {};
+  var type = this.textTrackType_;
+  if (type == sampleplayer.TextTrackType.SIDE_LOADED_TTML) {
+    // The player_ may not have been created yet if the type of media did
+    // not require MPL. It will be lazily created in processTtmlCues_
+    if (this.player_) {
+      this.player_.enableCaptions(false, cast.player.api.CaptionsType.TTML);
+    }
+    this.processTtmlCues_(this.activeTrackIds_,
+      mediaInformation.tracks || []);
+  } else if (type == sampleplayer.TextTrackType.EMBEDDED && this.player_) {
+    this.player_.enableCaptions(false);
+    this.processInBandTracks_(this.activeTrackIds_);
+    this.player_.enableCaptions(true);
+    return;
+  }
+  // The audio streams are switched whatever the type of the captions.
+  if (this.inBandTrackIdOffset_ && this.hasInBandStreams_()) {
+    this.processInBandTracks_(this.activeTrackIds_);
+  }
+};
+
+
+/**
+ * Called when metadata is loaded, at this point we have the tracks information
+ * if we need to provision embedded captions.
+ *
+ * @param {!cast.receiver.MediaManager.LoadInfo} info The load information.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onMetadataLoaded_ = function (info) {
+  this.log_('onMetadataLoaded');
+  this.onLoadSuccess_();
+  // In the case of ttml and embedded captions we need to load the cues using
+  // MPL.
+  this.readSideLoadedTextTrackType_(info);
+  this.maybeSelectSideLoadedTextTrack_(info);
+  this.applyRequestPolicyToTextTracks_();
+  this.activeTrackIds_ = (info.message && info.message.activeTrackIds) || [];
+  if (this.player_ && info.message) {
+    this.selectAudioStream_(
+      sampleplayer.getPreferredAudioLanguages_(info.message));
+  }
+
+  if (this.textTrackType_ ==
+    sampleplayer.TextTrackType.SIDE_LOADED_TTML &&
+    info.message && info.message.activeTrackIds && info.message.media &&
+    info.message.media.tracks) {
+    this.processTtmlCues_(
+      info.message.activeTrackIds, info.message.media.tracks);
+  } else if (!this.textTrackType_) {
+    // If we do not have a textTrackType, check if the tracks are embedded
+    this.maybeLoadEmbeddedTracksMetadata_(info);
+  }
+  this.maybeLoadInBandAudioTracks_(info);
+  // Only send load completed when we have completed the player LOADING state
+  this.metadataLoaded_ = true;
+  this.maybeSendLoadCompleted_(info);
+};
+
+
+/**
+ * Called when the media could not be successfully loaded. Resets the media
+ * manager, rejects the LOAD request with the error in its customData and
+ * shows the error card.
+ *
+ * @see cast.receiver.MediaManager#onLoadMetadataError
+ * @param {!cast.receiver.MediaManager.LoadInfo} event The data
+ *     associated with a LOAD event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onLoadMetadataError_ = function (event) {
+  this.log_('onLoadMetadataError_');
+  if (!this.playerError_) {
+    this.playerError_ = sampleplayer.createError_(
+      sampleplayer.ErrorCode.LOAD_FAILED, 'Media metadata could not be ' +
+      'loaded');
+  }
+  this.reportedError_ = this.playerError_;
+  this.cancelRetry_();
+  this.mediaManager_.resetMediaElement(cast.receiver.media.IdleReason.ERROR,
+    false);
+  this.mediaManager_.sendError(event.senderId, event.message.requestId,
+    cast.receiver.media.ErrorType.LOAD_FAILED, undefined,
+    {'error': this.getErrorData_(this.playerError_)});
+  this.showError_(this.playerError_);
+};
+
+
+/**
+ * Shows an error on the error card, in the language of the user.
+ *
+ * @param {!sampleplayer.PlayerError} playerError The error.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.showError_ = function (playerError) {
+  var self = this;
+  var messages = sampleplayer.getErrorMessages_(this.getLanguage_());
+  var category = sampleplayer.getErrorCategory_(playerError.code);
+  sampleplayer.transition_(self.element_, sampleplayer.TRANSITION_DURATION_,
+    function () {
+      sampleplayer.setInnerText_(
+        self.errorCardElement_.querySelector('.error-card-title'),
+        messages['title']);
+      sampleplayer.setInnerText_(
+        self.errorCardElement_.querySelector('.error-card-message'),
+        messages[category]);
+      sampleplayer.setInnerText_(
+        self.errorCardElement_.querySelector('.error-card-code'),
+        String(playerError.code));
+      self.setState_(sampleplayer.State.ERROR, false);
+    });
+};
+
+
+/**
+ * Returns the details of an error reported to senders, with the message
+ * shown to the user.
+ *
+ * @param {!sampleplayer.PlayerError} playerError The error.
+ * @return {!Object} The error details.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getErrorData_ = function (playerError) {
+  var messages = sampleplayer.getErrorMessages_(this.getLanguage_());
+  var category = sampleplayer.getErrorCategory_(playerError.code);
+  return {
+    'code': playerError.code,
+    'category': category,
+    'description': playerError.description,
+    'message': messages[category],
+    'httpStatus': playerError.httpStatus,
+    'retryAttempts': playerError.retryAttempts
+  };
+};
+
+
+/**
+ * Returns the language of the user: the "language" preference if a sender
+ * set a valid one, the language of the device otherwise.
+ *
+ * @return {string} The language tag.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getLanguage_ = function () {
+  var language = this.preferences_['language'];
+  if (typeof language === 'string' && language) {
+    return language;
+  }
+  return navigator.language || sampleplayer.DEFAULT_LANGUAGE_;
+};
+
+
+/**
+ * Cancels deferred playback.
+ *
+ * @param {string} cancelReason
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.cancelDeferredPlay_ = function (cancelReason) {
+  if (this.deferredPlayCallbackId_) {
+    this.log_('Cancelled deferred playback: ' + cancelReason);
+    clearTimeout(this.deferredPlayCallbackId_);
+    this.deferredPlayCallbackId_ = null;
+  }
+};
+
+
+/**
+ * Defers playback start by given timeout.
+ *
+ * @param {number} timeout In msec.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.deferPlay_ = function (timeout) {
+  this.log_('Defering playback for ' + timeout + ' ms');
+  var self = this;
+  this.deferredPlayCallbackId_ = setTimeout(function () {
+    self.deferredPlayCallbackId_ = null;
+    self.whenAdScheduleReady_(function () {
+      if (self.currentAdBreak_) {
+        self.log_('Content will start after the current ad break');
+        return;
+      }
+      var preRoll = self.getDueAdBreak_(self.mediaElement_.currentTime);
+      if (preRoll) {
+        self.log_('Playing pre-roll before content');
+        self.playAdBreak_(preRoll);
+      } else if (self.player_) {
+        self.log_('Playing when enough data');
+        self.player_.playWhenHaveEnoughData();
+      } else {
+        self.log_('Playing');
+        self.mediaElement_.play();
+      }
+    });
+  }, timeout);
+};
+
+
+/**
+ * Returns the first ad break that is due at the given content position and
+ * has not been played yet.
+ *
+ * @param {number} time The content position (in sec).
+ * @return {?sampleplayer.AdBreak} The ad break to play, if any.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getDueAdBreak_ = function (time) {
+  var dueAdBreak = null;
+  for (var i = 0; i < this.adBreaks_.length; i++) {
+    var adBreak = this.adBreaks_[i];
+    if (!adBreak.played && adBreak.timeOffset <= time &&
+      (!dueAdBreak || adBreak.timeOffset < dueAdBreak.timeOffset)) {
+      dueAdBreak = adBreak;
+    }
+  }
+  return dueAdBreak;
+};
+
+
+/**
+ * Returns the first post-roll ad break that has not been played yet.
+ *
+ * @return {?sampleplayer.AdBreak} The post-roll to play, if any.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.getPostRollAdBreak_ = function () {
+  for (var i = 0; i < this.adBreaks_.length; i++) {
+    var adBreak = this.adBreaks_[i];
+    if (!adBreak.played && adBreak.timeOffset === Infinity) {
+      return adBreak;
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Schedules the ad breaks requested in the customData of a LOAD request,
+ * fetching the VMAP document if it is given by URL. For live streams, the
+ * ads of the breaks signalled in the stream come from the "vastUrl" tag.
+ * The ads customData can also replace the VAST tracking URLs of some
+ * events, for instance to check them against a test server:
+ * <pre>
+ * "tracking": {
+ *   "impression": "http://localhost:8000/impression",
+ *   "error": "http://localhost:8000/error?code=[ERRORCODE]"
+ * }
+ * </pre>
+ *
+ * @param {Object|undefined} customData The customData of the LOAD request.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.loadAdSchedule_ = function (customData) {
+  var self = this;
+  var ads = (customData && customData['ads']) || {};
+  var adBreaks = sampleplayer.readAdBreaks_(customData);
+  this.adBreaks_ = adBreaks;
+  this.adTrackingOverrides_ = ads['tracking'] || {};
+  this.liveAdTagUrl_ = ads['vastUrl'] || null;
+  if (ads['vmap']) {
+    var vmap = new DOMParser().parseFromString(ads['vmap'], 'text/xml');
+    this.adBreaks_ = adBreaks.concat(sampleplayer.parseVmap_(vmap));
+  } else if (ads['vmapUrl']) {
+    this.log_('Fetching ad schedule: ' + ads['vmapUrl']);
+    this.adScheduleCallbacks_ = [];
+    sampleplayer.fetchXml_(ads['vmapUrl'], sampleplayer.VAST_TIMEOUT_,
+      function (vmap) {
+        if (self.adBreaks_ !== adBreaks) {
+          self.log_('Discarded ad schedule of previous media');
+          return;
+        }
+        self.adBreaks_ = adBreaks.concat(sampleplayer.parseVmap_(vmap));
+        self.resolveAdBreakTimes_();
+        self.renderAdBreakMarkers_();
+        self.log_('Ad schedule has ' + self.adBreaks_.length + ' breaks');
+        var callbacks = self.adScheduleCallbacks_ || [];
+        self.adScheduleCallbacks_ = null;
+        callbacks.forEach(function (callback) {
+          callback();
+        });
+      });
+  }
+};
+
+
+/**
+ * Calls the given function once the ad schedule of the current media is
+ * known.
+ *
+ * @param {function()} callback The function to call.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.whenAdScheduleReady_ = function (callback) {
+  if (this.adScheduleCallbacks_) {
+    this.log_('Waiting for the ad schedule');
+    this.adScheduleCallbacks_.push(callback);
+  } else {
+    callback();
+  }
+};
+
+
+/**
+ * Renders a marker on the progress bar at the position of every scheduled
+ * ad break. Markers of played breaks are dimmed.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.renderAdBreakMarkers_ = function () {
+  var duration = this.mediaElement_.duration;
+  if (this.adBreaks_.length > 0 && (isNaN(duration) || duration === Infinity)) {
+    // Keep the current markers until the content duration is known again.
+    return;
+  }
+  var markers = this.progressBarElement_.querySelectorAll(
+    '.controls-progress-marker');
+  for (var i = 0; i < markers.length; i++) {
+    this.progressBarElement_.removeChild(markers[i]);
+  }
+  for (var j = 0; j < this.adBreaks_.length; j++) {
+    var adBreak = this.adBreaks_[j];
+    if (isNaN(adBreak.timeOffset)) {
+      continue;
+    }
+    var pct = Math.min(100, 100 * adBreak.timeOffset / duration);
+    var marker = document.createElement('div');
+    marker.className = 'controls-progress-marker';
+    marker.classList.toggle('played', adBreak.played);
+    marker.style.left = pct + '%';
+    this.progressBarElement_.appendChild(marker);
+  }
+};
+
+
+/**
+ * Computes the position of the ad breaks scheduled as a percentage of the
+ * content duration, once the duration is known. The mid-roll breaks before
+ * the start position of the content are marked as played, so resumed content
+ * does not play them.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.resolveAdBreakTimes_ = function () {
+  var duration = this.mediaElement_.duration;
+  if (isNaN(duration) || duration === Infinity) {
+    return;
+  }
+  for (var i = 0; i < this.adBreaks_.length; i++) {
+    var adBreak = this.adBreaks_[i];
+    if (adBreak.percentage !== null) {
+      adBreak.timeOffset = duration * adBreak.percentage / 100;
+    }
+    if (adBreak.timeOffset > 0 &&
+      adBreak.timeOffset < this.contentStartTime_) {
+      adBreak.played = true;
+    }
+  }
+};
+
+
+/**
+ * Called by the Media Player Library with every manifest it loads. The
+ * heights of the video renditions are recorded for the resolution cap. For
+ * live streams, the ad break cues of the manifest (HLS cue-out or SCTE-35
+ * daterange tags, DASH SCTE-35 event streams) start an ad break once. Cues
+ * seen while the content is not playing, for instance while it buffers
+ * after a seek, stay pending and are checked again with the next manifest.
+ *
+ * @param {string} manifest The manifest.
+ * @return {string} The manifest, unchanged.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.processManifest_ = function (manifest) {
+  var heights = sampleplayer.readRenditionHeights_(manifest);
+  for (var bitrate in heights) {
+    this.renditionHeights_[bitrate] = heights[bitrate];
+  }
+  if (!this.isLiveStream_ || !this.liveAdTagUrl_) {
+    return manifest;
+  }
+  var cues = sampleplayer.readLiveCues_(manifest);
+  for (var i = 0; i < cues.length; i++) {
+    var cue = cues[i];
+    if (this.liveCueIds_[cue.id]) {
+      continue;
+    }
+    if (this.currentAdBreak_ ||
+      this.state_ !== sampleplayer.State.PLAYING) {
+      this.log_('Pending live ad cue: ' + cue.id);
+      continue;
+    }
+    this.liveCueIds_[cue.id] = true;
+    this.log_('Live ad cue ' + cue.id + ', duration=' + cue.duration);
+    var adBreak = new sampleplayer.AdBreak(cue.id,
+      this.mediaElement_.currentTime, this.liveAdTagUrl_);
+    adBreak.maxDuration = cue.duration;
+    this.playAdBreak_(adBreak);
+  }
+  return manifest;
+};
+
+
+/**
+ * Suspends the main content and plays the ads of the given break.
+ *
+ * @param {!sampleplayer.AdBreak} adBreak The ad break to play.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.playAdBreak_ = function (adBreak) {
+  this.log_('playAdBreak_: ' + adBreak.id);
+  var self = this;
+  adBreak.played = true;
+  if (!this.currentAdBreak_ && !this.playingAd_) {
+    this.contentResumeTime_ = this.mediaElement_.currentTime;
+  }
+  this.currentAdBreak_ = adBreak;
+  this.element_.setAttribute('ad-break', 'true');
+  this.renderAdBreakMarkers_();
+  this.mediaElement_.pause();
+  this.setState_(sampleplayer.State.BUFFERING, false);
+  var onAdsLoaded = function (ads) {
+    if (self.currentAdBreak_ !== adBreak) {
+      self.log_('Discarded ads of cancelled ad break: ' + adBreak.id);
+      return;
+    }
+    self.log_('Ad break ' + adBreak.id + ' has ' + ads.length + ' ads');
+    self.adPod_ = sampleplayer.fitAdPod_(
+      adBreak.allowMultipleAds ? ads : ads.slice(0, 1), adBreak.maxDuration);
+    self.adIndex_ = -1;
+    self.playNextAd_();
+  };
+  var onVastError = this.sendAdBeacons_.bind(this, 'error');
+  if (adBreak.vast) {
+    sampleplayer.readVastAds_(adBreak.vast, 0, onVastError, onAdsLoaded);
+  } else {
+    sampleplayer.loadVast_(adBreak.vastUrl || '', 0, onVastError,
+      onAdsLoaded);
+  }
+};
+
+
+/**
+ * Plays the next ad of the current ad break, or returns to the main content
+ * if there are no ads left.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.playNextAd_ = function () {
+  this.adIndex_++;
+  var ad = this.adPod_[this.adIndex_];
+  if (!ad) {
+    this.finishAdBreak_();
+    return;
+  }
+  this.adEventsFired_ = {};
+  this.adPaused_ = false;
+  var mediaFile = sampleplayer.selectAdMediaFile_(ad.mediaFiles,
+    this.mediaElement_2);
+  if (!mediaFile) {
+    this.log_('No playable media file for ad: ' + ad.id);
+    this.trackAdEvent_('error', sampleplayer.VastErrorCode.UNSUPPORTED_MEDIA);
+    this.playNextAd_();
+    return;
+  }
+  this.log_('Playing ad ' + (this.adIndex_ + 1) + ' of ' +
+    this.adPod_.length + ': ' + mediaFile.url);
+  if (!this.playingAd_) {
+    this.enterAdMode_();
+  }
+  this.mediaElement_2.src = mediaFile.url;
+  this.mediaElement_2.play();
+  this.showAdCompanion_(ad);
+  this.updateAdSkip_();
+  this.mediaManager_.broadcastStatus(/* includeMedia */ false);
+};
+
+
+/**
+ * Shows the companion banner of the given ad, if it has one that fits, in
+ * place of the banner of the previous ad. Static companions are shown as an
+ * image, HTML and iframe companions in a sandboxed frame. The creativeView
+ * tracking URLs of the companion and of the companions of the wrappers are
+ * requested once it is shown; the tracking URLs configured in the LOAD
+ * request only replace those of the linear ad.
+ *
+ * @param {sampleplayer.Ad} ad The ad playing.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.showAdCompanion_ = function (ad) {
+  this.hideAdCompanion_();
+  var companion = sampleplayer.selectAdCompanion_(ad.companions);
+  if (!companion) {
+    return;
+  }
+  var companionElement;
+  if (companion.type === sampleplayer.AdCompanionType.STATIC) {
+    companionElement = document.createElement('img');
+    companionElement.src = companion.resource;
+  } else {
+    companionElement = document.createElement('iframe');
+    companionElement.setAttribute('sandbox', 'allow-scripts');
+    companionElement.setAttribute('scrolling', 'no');
+    if (companion.type === sampleplayer.AdCompanionType.HTML) {
+      companionElement.srcdoc = companion.resource;
+    } else {
+      companionElement.src = companion.resource;
+    }
+  }
+  if (companion.width && companion.height) {
+    companionElement.style.width = companion.width + 'px';
+    companionElement.style.height = companion.height + 'px';
+  }
+  this.adCompanionElement_.appendChild(companionElement);
+  this.element_.setAttribute('ad-companion', 'true');
+  this.sendTrackingUrls_('creativeView', companion.creativeViews.concat(
+    ad.tracking.companionViews));
+};
+
+
+/**
+ * Removes the companion banner of the previous ad, if any.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.hideAdCompanion_ = function () {
+  this.element_.setAttribute('ad-companion', 'false');
+  while (this.adCompanionElement_.firstChild) {
+    this.adCompanionElement_.removeChild(this.adCompanionElement_.firstChild);
+  }
+};
+
+
+/**
+ * Makes the ad media element the active media element. The main content is
+ * unloaded, since most devices can only decode one video at a time; it is
+ * loaded again by resumeContent_.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.enterAdMode_ = function () {
+  this.log_('enterAdMode_');
+  this.playingAd_ = true;
+  // Swap the media manager first so it does not see the content teardown.
+  this.mediaManager_.setMediaElement(this.mediaElement_2);
+  if (this.player_) {
+    this.player_.unload();
+    this.player_ = null;
+  }
+  var media = this.mediaManager_.getMediaInformation() || {};
+  this.contentSrc_ = sampleplayer.getProtocolFunction_(media) ?
+    null : this.mediaElement_.src;
+  this.contentReleased_ = true;
+  this.mediaElement_.removeAttribute('src');
+  this.mediaElement_.load();
+  this.mediaElement_.style.display = 'none';
+  this.mediaElement_2.style.display = 'block';
+};
+
+
+/**
+ * Makes the main content media element the active media element again.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.exitAdMode_ = function () {
+  if (!this.playingAd_) {
+    return;
+  }
+  this.log_('exitAdMode_');
+  this.playingAd_ = false;
+  this.element_.setAttribute('ad-skip', sampleplayer.AdSkipState.NONE);
+  this.hideAdCompanion_();
+  this.mediaElement_2.pause();
+  this.mediaElement_2.removeAttribute('src');
+  this.mediaElement_2.load();
+  this.mediaElement_2.style.display = 'none';
+  this.mediaElement_.style.display = '';
+  this.mediaManager_.setMediaElement(this.mediaElement_);
+};
+
+
+/**
+ * Ends the current ad break. Plays the next break scheduled at the same
+ * position, if any, and otherwise resumes the main content. After the last
+ * post-roll the player goes back to the IDLE state.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.finishAdBreak_ = function () {
+  this.log_('finishAdBreak_');
+  var adBreak = this.currentAdBreak_;
+  var isPostRoll = adBreak.timeOffset === Infinity;
+  this.currentAdBreak_ = null;
+  this.adPod_ = [];
+  this.adIndex_ = -1;
+  var nextAdBreak = isPostRoll ? this.getPostRollAdBreak_() :
+    this.getDueAdBreak_(adBreak.timeOffset);
+  if (nextAdBreak) {
+    this.playAdBreak_(nextAdBreak);
+    return;
+  }
+  this.element_.setAttribute('ad-break', 'false');
+  this.exitAdMode_();
+  if (isPostRoll) {
+    this.contentReleased_ = false;
+    this.contentSrc_ = null;
+    this.mediaManager_.resetMediaElement(
+      cast.receiver.media.IdleReason.FINISHED, true);
+    if (!this.playNextQueueItem_(false)) {
+      this.setState_(sampleplayer.State.IDLE, true);
+    }
+    return;
+  }
+  this.resumeContent_();
+};
+
+
+/**
+ * Resumes the main content at the position where the ad break started, or
+ * where it stopped for a token refresh or a transient failure. If the
+ * content was unloaded, it is loaded again, through the Media Player Library
+ * if needed, and its active text tracks are restored.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.resumeContent_ = function () {
+  var self = this;
+  var time = this.contentResumeTime_;
+  this.log_('resumeContent_: time=' + time);
+  // Keep showing that the player is reconnecting until playback resumes.
+  if (this.state_ !== sampleplayer.State.RECONNECTING) {
+    this.setState_(sampleplayer.State.BUFFERING, false);
+  } else {
+    this.updateStallTimer_();
+  }
+  if (!this.contentReleased_) {
+    this.mediaElement_.play();
+    return;
+  }
+  this.contentReleased_ = false;
+  var media = this.mediaManager_.getMediaInformation() || {};
+  var protocolFunc = sampleplayer.getProtocolFunction_(media);
+  this.contentResumeHandler_ = function () {
+    self.mediaElement_.removeEventListener('loadedmetadata',
+      self.contentResumeHandler_, false);
+    self.contentResumeHandler_ = null;
+    self.restoreActiveTracks_();
+    self.checkLockedRendition_();
+    self.renderAdBreakMarkers_();
+    if (!protocolFunc) {
+      if (!self.isLiveStream_) {
+        self.mediaElement_.currentTime = time;
+      }
+      self.mediaElement_.play();
+    }
+  };
+  this.mediaElement_.addEventListener('loadedmetadata',
+    this.contentResumeHandler_, false);
+  if (protocolFunc) {
+    var host = this.createHost_(media.contentId);
+    this.configureHost_(host);
+    this.player_ = new cast.player.api.Player(host);
+    if (this.isLiveStream_) {
+      // Go back to the live edge rather than where the break started.
+      this.player_.load(protocolFunc(host));
+    } else {
+      this.player_.load(protocolFunc(host), time);
+    }
+    this.player_.playWhenHaveEnoughData();
+  } else {
+    this.mediaElement_.src = this.contentSrc_ || media.contentId;
+  }
+  this.contentSrc_ = null;
+};
+
+
+/**
+ * Cancels any ad break in progress and forgets the scheduled ad breaks.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.resetAdBreaks_ = function () {
+  if (this.currentAdBreak_) {
+    this.log_('Cancelled ad break: ' + this.currentAdBreak_.id);
+  }
+  this.currentAdBreak_ = null;
+  this.element_.setAttribute('ad-break', 'false');
+  this.adPod_ = [];
+  this.adIndex_ = -1;
+  this.adBreaks_ = [];
+  this.renderAdBreakMarkers_();
+  this.lastContentTime_ = 0;
+  this.seekStartTime_ = 0;
+  this.seekPending_ = false;
+  this.adScheduleCallbacks_ = null;
+  this.adTrackingOverrides_ = {};
+  this.liveAdTagUrl_ = null;
+  this.liveCueIds_ = {};
+  this.exitAdMode_();
+  this.contentReleased_ = false;
+  this.contentSrc_ = null;
+  if (this.contentResumeHandler_) {
+    this.mediaElement_.removeEventListener('loadedmetadata',
+      this.contentResumeHandler_, false);
+    this.contentResumeHandler_ = null;
+  }
+};
+
 
-    var artwork = sampleplayer.getMediaImageUrl_(media);
-    if (artwork) {
-      var artworkElement = this.element_.querySelector('.media-artwork');
-      sampleplayer.setBackgroundImage_(artworkElement, artwork);
+/**
+ * Called when an ad has ended. Plays the next ad of the break.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onAdEnded_ = function () {
+  this.log_('onAdEnded');
+  if (this.playingAd_) {
+    this.trackAdEvent_('complete');
+    this.playNextAd_();
+  }
+};
+
+
+/**
+ * Called when an ad could not be played. Reports the error and skips to the
+ * next ad of the break.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onAdError_ = function () {
+  this.log_('onAdError');
+  if (this.playingAd_) {
+    var error = this.mediaElement_2.error;
+    var isDecodeError = error && error.code === MediaError.MEDIA_ERR_DECODE;
+    this.trackAdEvent_('error', isDecodeError ?
+      sampleplayer.VastErrorCode.MEDIA_DISPLAY :
+      sampleplayer.VastErrorCode.FILE_NOT_FOUND);
+    this.playNextAd_();
+  }
+};
+
+
+/**
+ * Called when an ad starts or resumes playing. Fires the impression and
+ * start tracking events the first time, and the resume event after a pause.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onAdPlaying_ = function () {
+  if (this.playingAd_) {
+    if (!this.adEventsFired_['start']) {
+      this.trackAdEvent_('impression');
+      this.trackAdEvent_('creativeView');
+      this.trackAdEvent_('start');
+    } else if (this.adPaused_) {
+      this.trackAdEvent_('resume');
+    }
+    this.adPaused_ = false;
+  }
+  this.onPlaying_();
+};
+
+
+/**
+ * Called when an ad has been paused. Fires the pause tracking event unless
+ * the ad has reached its end.
+ *
+ * @param {!Event} event The pause event.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onAdPause_ = function (event) {
+  if (this.playingAd_ && !this.mediaElement_2.ended) {
+    this.adPaused_ = true;
+    this.trackAdEvent_('pause');
+  }
+  this.onPause_(event);
+};
+
+
+/**
+ * Called periodically during ad playback. Fires the quartile tracking events.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onAdProgress_ = function () {
+  var duration = this.mediaElement_2.duration;
+  if (this.playingAd_ && duration > 0 && duration !== Infinity) {
+    var fraction = this.mediaElement_2.currentTime / duration;
+    for (var i = 0; i < sampleplayer.AD_QUARTILES_.length; i++) {
+      var quartile = sampleplayer.AD_QUARTILES_[i];
+      if (fraction >= quartile.fraction &&
+        !this.adEventsFired_[quartile.event]) {
+        this.trackAdEvent_(quartile.event);
+      }
+    }
+  }
+  this.updateAdSkip_();
+  this.onProgress_();
+};
+
+
+/**
+ * Updates the ad skip overlay: a countdown until the current ad can be
+ * skipped, then a skip prompt.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.updateAdSkip_ = function () {
+  var ad = this.adPod_[this.adIndex_];
+  var state = sampleplayer.AdSkipState.NONE;
+  if (this.playingAd_ && ad && !isNaN(ad.skipOffset)) {
+    var timeLeft = Math.ceil(ad.skipOffset - this.mediaElement_2.currentTime);
+    if (timeLeft > 0) {
+      state = sampleplayer.AdSkipState.COUNTDOWN;
+      this.adSkipCountdownElement_.innerText = '' + timeLeft;
+    } else {
+      state = sampleplayer.AdSkipState.READY;
+    }
+  }
+  this.element_.setAttribute('ad-skip', state);
+};
+
+
+/**
+ * Skips the current ad, if its skip offset has been reached, and plays the
+ * next ad of the break or returns to the main content.
+ *
+ * @return {boolean} Whether the ad was skipped.
+ * @export
+ */
+sampleplayer.CastPlayer.prototype.skipAd = function () {
+  var ad = this.adPod_[this.adIndex_];
+  if (!this.playingAd_ || !ad) {
+    this.log_('skipAd: no ad playing');
+    return false;
+  }
+  if (isNaN(ad.skipOffset) ||
+    this.mediaElement_2.currentTime < ad.skipOffset) {
+    this.log_('skipAd: ad cannot be skipped yet');
+    return false;
+  }
+  this.log_('skipAd');
+  this.trackAdEvent_('skip');
+  this.playNextAd_();
+  return true;
+};
+
+
+/**
+ * Fires a tracking event of the current ad.
+ *
+ * @param {string} eventName The tracking event name; "impression" and
+ *     "error" fire the impression and error URLs of the ad.
+ * @param {sampleplayer.VastErrorCode=} opt_errorCode The error code, for
+ *     error events.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.trackAdEvent_ = function (eventName,
+  opt_errorCode) {
+  var ad = this.adPod_[this.adIndex_];
+  if (!ad) {
+    return;
+  }
+  this.adEventsFired_[eventName] = true;
+  var urls;
+  if (eventName === 'impression') {
+    urls = ad.tracking.impressions;
+  } else if (eventName === 'error') {
+    urls = ad.tracking.errors;
+  } else {
+    urls = ad.tracking.events[eventName] || [];
+  }
+  this.sendAdBeacons_(eventName, urls, opt_errorCode);
+};
+
+
+/**
+ * Sends the tracking beacons of an ad event, after replacing the VAST
+ * macros of their URLs. The URL configured for the event in the LOAD
+ * request, if any, is used instead of the VAST URLs.
+ *
+ * @param {string} eventName The tracking event name.
+ * @param {!Array.<string>} urls The VAST tracking URLs.
+ * @param {sampleplayer.VastErrorCode=} opt_errorCode The error code, for
+ *     error events.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.sendAdBeacons_ = function (eventName, urls,
+  opt_errorCode) {
+  var override = this.adTrackingOverrides_[eventName];
+  this.sendTrackingUrls_(eventName, override ? [override] : urls,
+    opt_errorCode);
+};
+
+
+/**
+ * Requests tracking URLs, after replacing their VAST macros.
+ *
+ * @param {string} eventName The tracking event name, for logging.
+ * @param {!Array.<string>} urls The tracking URLs.
+ * @param {sampleplayer.VastErrorCode=} opt_errorCode The error code, for
+ *     error events.
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.sendTrackingUrls_ = function (eventName,
+  urls, opt_errorCode) {
+  if (urls.length === 0) {
+    return;
+  }
+  this.log_('Ad tracking: ' + eventName +
+    (opt_errorCode ? ' (' + opt_errorCode + ')' : ''));
+  var macros = {
+    'ERRORCODE': String(opt_errorCode || ''),
+    'CACHEBUSTING': String(Math.floor(Math.random() * 1e8) + 1e8).slice(1),
+    'TIMESTAMP': new Date().toISOString(),
+    'CONTENTPLAYHEAD': sampleplayer.formatVastTime_(this.contentResumeTime_),
+    'ADPLAYHEAD': sampleplayer.formatVastTime_(
+      this.playingAd_ ? this.mediaElement_2.currentTime : 0)
+  };
+  for (var i = 0; i < urls.length; i++) {
+    sampleplayer.sendBeacon_(urls[i].replace(/\[([A-Z]+)\]/g,
+      function (macro, name) {
+        return macros.hasOwnProperty(name) ?
+          encodeURIComponent(macros[name]) : macro;
+      }));
+  }
+};
+
+
+/**
+ * Called when the media is successfully loaded. Updates the progress bar.
+ *
+ * @private
+ */
+sampleplayer.CastPlayer.prototype.onLoadSuccess_ = function () {
+  this.log_('onLoadSuccess');
+  this.resolveAdBreakTimes_();
+  this.renderAdBreakMarkers_();
+  // we should have total time at this point, so update the label
+  // and progress bar
+  var totalTime = this.getMediaElement().duration;
+  if (this.isLiveStream_) {
+    // The duration of a live stream is meaningless, the progress bar shows
+    // its seekable window instead.
+    this.updateProgress_();
+  } else if (!isNaN(totalTime)) {
+    this.totalTimeElement_.textContent =
+      sampleplayer.formatDuration_(totalTime);
+  } else {
+    this.totalTimeElement_.textContent = '';
+    this.progressBarInnerElement_.style.width = '100%';
+    this.progressBarThumbElement_.style.left = '100%';
+  }
+};
+
+
+/**
+ * Returns the image url for the given media object.
+ *
+ * @param {!cast.receiver.media.MediaInformation} media The media.
+ * @return {string|undefined} The image url.
+ * @private
+ */
+sampleplayer.getMediaImageUrl_ = function (media) {
+  var metadata = media.metadata || {};
+  var images = metadata['images'] || [];
+  return images && images[0] && images[0]['url'];
+};
+
+
+/**
+ * Gets the adaptive streaming protocol creation function based on the media
+ * information.
+ *
+ * @param {!cast.receiver.media.MediaInformation} mediaInformation The
+ *     asset media information.
+ * @return {?function(!cast.player.api.Host):!cast.player.api.StreamingProtocol}
+ *     The protocol function that corresponds to this media type.
+ * @private
+ */
+sampleplayer.getProtocolFunction_ = function (mediaInformation) {
+  var format = sampleplayer.getMediaFormat_(mediaInformation);
+  return format ? format.protocol : null;
+};
+
+
+/**
+ * Returns the format of the given media.
+ *
+ * @param {!cast.receiver.media.MediaInformation} media The media information.
+ * @return {?sampleplayer.MediaFormat} The format, or null if the player
+ *     cannot play the media.
+ * @private
+ */
+sampleplayer.getMediaFormat_ = function (media) {
+  var formats = sampleplayer.mediaFormats_;
+  var contentType = (media.contentType || '').split(';')[0].trim()
+    .toLowerCase();
+  var contentId = media.contentId || '';
+  var extension = sampleplayer.getExtension_(sampleplayer.getPath_(contentId));
+  var i;
+  for (i = 0; i < formats.length; i++) {
+    if ((extension && formats[i].extensions.indexOf(extension) >= 0) ||
+      formats[i].urlPatterns.some(function (urlPattern) {
+        return urlPattern.test(contentId);
+      })) {
+      return formats[i];
+    }
+  }
+  for (i = 0; contentType && i < formats.length; i++) {
+    if (formats[i].mimeTypes.some(function (mimeType) {
+      return mimeType === contentType || (/\/\*$/.test(mimeType) &&
+        contentType.indexOf(mimeType.slice(0, -1)) === 0);
+    })) {
+      return formats[i];
+    }
+  }
+  for (i = 0; !contentType && i < formats.length; i++) {
+    if (formats[i].name === sampleplayer.FALLBACK_MEDIA_FORMAT_) {
+      return formats[i];
     }
   }
+  return null;
+};
+
+
+/**
+ * Adds a media format the player can play. It takes precedence over the
+ * formats already registered, so it can also replace one of them.
+ *
+ * @param {sampleplayer.MediaFormat} format The media format.
+ * @export
+ */
+sampleplayer.registerMediaFormat = function (format) {
+  sampleplayer.mediaFormats_.unshift(format);
+};
+
+
+/**
+ * Returns true if the media can be preloaded.
+ *
+ * @param {!cast.receiver.media.MediaInformation} media The media information.
+ * @return {boolean} whether the media can be preloaded.
+ * @private
+ */
+sampleplayer.supportsPreload_ = function (media) {
+  var format = sampleplayer.getMediaFormat_(media);
+  return !!format && format.preload && !!format.protocol;
+};
+
+
+/**
+ * Returns true if the preview UI should be shown for the type of media
+ * although the media can not be preloaded.
+ *
+ * @param {!cast.receiver.media.MediaInformation} media The media information.
+ * @return {boolean} whether the media can be previewed.
+ * @private
+ */
+sampleplayer.canDisplayPreview_ = function (media) {
+  var format = sampleplayer.getMediaFormat_(media);
+  return !!format && format.preview;
+};
+
+
+/**
+ * Returns the type of player to use for the given media, from its media
+ * format.
+ *
+ * @param {!cast.receiver.media.MediaInformation} media The media.
+ * @return {sampleplayer.Type} The player type.
+ * @private
+ */
+sampleplayer.getType_ = function (media) {
+  var format = sampleplayer.getMediaFormat_(media);
+  return format ? format.type : sampleplayer.Type.UNKNOWN;
+};
+
+
+/**
+ * Formats the given duration.
+ *
+ * @param {number} dur the duration (in seconds)
+ * @return {string} the time (in HH:MM:SS)
+ * @private
+ */
+sampleplayer.formatDuration_ = function (dur) {
+  dur = Math.floor(dur);
+  function digit(n) { return ('00' + Math.round(n)).slice(-2); }
+  var hr = Math.floor(dur / 3600);
+  var min = Math.floor(dur / 60) % 60;
+  var sec = dur % 60;
+  if (!hr) {
+    return digit(min) + ':' + digit(sec);
+  } else {
+    return digit(hr) + ':' + digit(min) + ':' + digit(sec);
+  }
+};
+
+
+/**
+ * Adds the given className to the given element for the specified amount of
+ * time.
+ *
+ * @param {!Element} element The element to add the given class.
+ * @param {string} className The class name to add to the given element.
+ * @param {number} timeout The amount of time (in ms) the class should be
+ *     added to the given element.
+ * @return {number} A numerical id, which can be used later with
+ *     window.clearTimeout().
+ * @private
+ */
+sampleplayer.addClassWithTimeout_ = function (element, className, timeout) {
+  element.classList.add(className);
+  return setTimeout(function () {
+    element.classList.remove(className);
+  }, timeout);
+};
+
+
+/**
+ * Causes the given element to fade out, does something, and then fades
+ * it back in.
+ *
+ * @param {!Element} element The element to fade in/out.
+ * @param {number} time The total amount of time (in seconds) to transition.
+ * @param {function()} something The function that does something.
+ * @private
+ */
+sampleplayer.transition_ = function (element, time, something) {
+  if (time <= 0 || sampleplayer.isCastForAudioDevice_()) {
+    // No transitions supported for Cast for Audio devices
+    something();
+  } else {
+    sampleplayer.fadeOut_(element, time / 2.0, function () {
+      something();
+      sampleplayer.fadeIn_(element, time / 2.0);
+    });
+  }
 };
 
 
 /**
- * Loads the metadata for the given preview mode media.
+ * Preloads media data that can be preloaded.
  *
- * @param {!cast.receiver.media.MediaInformation} media The media.
+ * @param {!cast.receiver.media.MediaInformation} media The media to load.
+ * @param {function()} doneFunc The function to call when done.
  * @private
  */
-sampleplayer.CastPlayer.prototype.loadPreviewModeMetadata_ = function (media) {
-  this.log_('loadPreviewModeMetadata_');
-  if (!sampleplayer.isCastForAudioDevice_()) {
-    var metadata = media.metadata || {};
-    var titleElement = this.element_.querySelector('.preview-mode-title');
-    sampleplayer.setInnerText_(titleElement, metadata.title);
+sampleplayer.preload_ = function (media, doneFunc) {
+  if (sampleplayer.isCastForAudioDevice_()) {
+    // No preloading for Cast for Audio devices
+    doneFunc();
+    return;
+  }
 
-    var subtitleElement = this.element_.querySelector('.preview-mode-subtitle');
-    sampleplayer.setInnerText_(subtitleElement, metadata.subtitle);
+  var imagesToPreload = [];
+  var counter = 0;
+  var images = [];
+  function imageLoaded() {
+    if (++counter === imagesToPreload.length) {
+      doneFunc();
+    }
+  }
 
-    var artwork = sampleplayer.getMediaImageUrl_(media);
-    if (artwork) {
-      var artworkElement = this.element_.querySelector('.preview-mode-artwork');
-      sampleplayer.setBackgroundImage_(artworkElement, artwork);
+  // try to preload image metadata
+  var thumbnailUrl = sampleplayer.getMediaImageUrl_(media);
+  if (thumbnailUrl) {
+    imagesToPreload.push(thumbnailUrl);
+  }
+  if (imagesToPreload.length === 0) {
+    doneFunc();
+  } else {
+    for (var i = 0; i < imagesToPreload.length; i++) {
+      images[i] = new Image();
+      images[i].src = imagesToPreload[i];
+      images[i].onload = function () {
+        imageLoaded();
+      };
+      images[i].onerror = function () {
+        imageLoaded();
+      };
     }
   }
 };
 
 
 /**
- * Lets player handle autoplay, instead of depending on underlying
- * MediaElement to handle it. By this way, we can make sure that media playback
- * starts after loading screen is displayed.
+ * Causes the given element to fade in.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @param {!Element} element The element to fade in.
+ * @param {number} time The amount of time (in seconds) to transition.
+ * @param {function()=} opt_doneFunc The function to call when complete.
  * @private
  */
-sampleplayer.CastPlayer.prototype.letPlayerHandleAutoPlay_ = function (info) {
-  this.log_('letPlayerHandleAutoPlay_: ' + info.message.autoplay);
-  var autoplay = info.message.autoplay;
-  info.message.autoplay = false;
-  this.getMediaElement().autoplay = false;
-  this.playerAutoPlay_ = autoplay == undefined ? true : autoplay;
+sampleplayer.fadeIn_ = function (element, time, opt_doneFunc) {
+  sampleplayer.fadeTo_(element, '', time, opt_doneFunc);
 };
 
 
 /**
- * Loads some audio content.
+ * Causes the given element to fade out.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @param {!Element} element The element to fade out.
+ * @param {number} time The amount of time (in seconds) to transition.
+ * @param {function()=} opt_doneFunc The function to call when complete.
  * @private
  */
-sampleplayer.CastPlayer.prototype.loadAudio_ = function (info) {
-  this.log_('loadAudio_');
-  this.letPlayerHandleAutoPlay_(info);
-  this.loadDefault_(info);
+sampleplayer.fadeOut_ = function (element, time, opt_doneFunc) {
+  sampleplayer.fadeTo_(element, 0, time, opt_doneFunc);
 };
 
 
 /**
- * Loads some video content.
+ * Causes the given element to fade to the given opacity in the given
+ * amount of time.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
- * @return {boolean} Whether the media was preloaded
+ * @param {!Element} element The element to fade in/out.
+ * @param {string|number} opacity The opacity to transition to.
+ * @param {number} time The amount of time (in seconds) to transition.
+ * @param {function()=} opt_doneFunc The function to call when complete.
  * @private
  */
-sampleplayer.CastPlayer.prototype.loadVideo_ = function (info) {
-  this.log_('loadVideo_');
+sampleplayer.fadeTo_ = function (element, opacity, time, opt_doneFunc) {
   var self = this;
-  var protocolFunc = null;
-  var url = info.message.media.contentId;
-  var protocolFunc = sampleplayer.getProtocolFunction_(info.message.media);
-  var wasPreloaded = false;
-
-  this.letPlayerHandleAutoPlay_(info);
-  if (!protocolFunc) {
-    this.log_('loadVideo_: using MediaElement');
-    this.mediaElement_.addEventListener('stalled', this.bufferingHandler_,
-      false);
-    this.mediaElement_.addEventListener('waiting', this.bufferingHandler_,
-      false);
-  } else {
-    this.log_('loadVideo_: using Media Player Library');
-    // When MPL is used, buffering status should be detected by
-    // getState()['underflow]'
-    this.mediaElement_.removeEventListener('stalled', this.bufferingHandler_);
-    this.mediaElement_.removeEventListener('waiting', this.bufferingHandler_);
-
-    // If we have not preloaded or the content preloaded does not match the
-    // content that needs to be loaded, perform a full load
-    var loadErrorCallback = function () {
-      // unload player and trigger error event on media element
-      if (self.player_) {
-        self.resetMediaElement_();
-        self.mediaElement_.dispatchEvent(new Event('error'));
-      }
-    };
-    if (!this.preloadPlayer_ || (this.preloadPlayer_.getHost &&
-      this.preloadPlayer_.getHost().url != url)) {
-      if (this.preloadPlayer_) {
-        this.preloadPlayer_.unload();
-        this.preloadPlayer_ = null;
-      }
-      this.log_('Regular video load');
-      var host = new cast.player.api.Host({
-        'url': url,
-        'mediaElement': this.mediaElement_
-      });
-      host.onError = loadErrorCallback;
-      this.player_ = new cast.player.api.Player(host);
-      this.player_.load(protocolFunc(host));
-    } else {
-      this.log_('Preloaded video load');
-      this.player_ = this.preloadPlayer_;
-      this.preloadPlayer_ = null;
-      // Replace the "preload" error callback with the "load" error callback
-      this.player_.getHost().onError = loadErrorCallback;
-      this.player_.load();
-      wasPreloaded = true;
+  var id = Date.now();
+  var listener = function () {
+    element.style.webkitTransition = '';
+    element.removeEventListener('webkitTransitionEnd', listener, false);
+    if (opt_doneFunc) {
+      opt_doneFunc();
     }
-  }
-  this.loadMediaManagerInfo_(info, !!protocolFunc);
-  return wasPreloaded;
+  };
+  element.addEventListener('webkitTransitionEnd', listener, false);
+  element.style.webkitTransition = 'opacity ' + time + 's';
+  element.style.opacity = opacity;
 };
 
 
 /**
- * Loads media and tracks info into media manager.
+ * Utility function to get the extension of a URL file path.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
- * @param {boolean} loadOnlyTracksMetadata Only load the tracks metadata (if
- *     it is in the info provided).
+ * @param {string} url the URL
+ * @return {string} the extension or "" if none
  * @private
  */
-sampleplayer.CastPlayer.prototype.loadMediaManagerInfo_ =
-  function (info, loadOnlyTracksMetadata) {
-
-    if (loadOnlyTracksMetadata) {
-      // In the case of media that uses MPL we do not
-      // use the media manager default onLoad API but we still need to load
-      // the tracks metadata information into media manager (so tracks can be
-      // managed and properly reported in the status messages) if they are
-      // provided in the info object (side loaded).
-      this.maybeLoadSideLoadedTracksMetadata_(info);
-    } else {
-      // Media supported by mediamanager, use the media manager default onLoad API
-      // to load the media, tracks metadata and, if the tracks are vtt the media
-      // manager will process the cues too.
-      this.loadDefault_(info);
-    }
-  };
+sampleplayer.getExtension_ = function (url) {
+  var parts = url.split('.');
+  // Handle files with no extensions and hidden files with no extension
+  if (parts.length === 1 || (parts[0] === '' && parts.length === 2)) {
+    return '';
+  }
+  return parts.pop().toLowerCase();
+};
 
 
 /**
- * Sets the captions type based on the text tracks.
+ * Returns the application state.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @param {cast.receiver.media.MediaInformation=} opt_media The current media
+ *     metadata
+ * @return {string} The application state.
  * @private
  */
-sampleplayer.CastPlayer.prototype.readSideLoadedTextTrackType_ =
-  function (info) {
-    if (!info.message || !info.message.media || !info.message.media.tracks) {
-      return;
-    }
-    for (var i = 0; i < info.message.media.tracks.length; i++) {
-      var oldTextTrackType = this.textTrackType_;
-      if (info.message.media.tracks[i].type !=
-        cast.receiver.media.TrackType.TEXT) {
-        continue;
-      }
-      if (this.isTtmlTrack_(info.message.media.tracks[i])) {
-        this.textTrackType_ =
-          sampleplayer.TextTrackType.SIDE_LOADED_TTML;
-      } else if (this.isVttTrack_(info.message.media.tracks[i])) {
-        this.textTrackType_ =
-          sampleplayer.TextTrackType.SIDE_LOADED_VTT;
-      } else {
-        this.log_('Unsupported side loaded text track types');
-        this.textTrackType_ =
-          sampleplayer.TextTrackType.SIDE_LOADED_UNSUPPORTED;
-        break;
-      }
-      // We do not support text tracks with different caption types for a single
-      // piece of content
-      if (oldTextTrackType && oldTextTrackType != this.textTrackType_) {
-        this.log_('Load has inconsistent text track types');
-        this.textTrackType_ =
-          sampleplayer.TextTrackType.SIDE_LOADED_UNSUPPORTED;
-        break;
-      }
-    }
-  };
+sampleplayer.getApplicationState_ = function (opt_media) {
+  if (opt_media && opt_media.metadata && opt_media.metadata.title) {
+    return 'Now Casting: ' + opt_media.metadata.title;
+  } else if (opt_media) {
+    return 'Now Casting';
+  } else {
+    return 'Ready To Cast';
+  }
+};
 
 
 /**
- * If there is tracks information in the LoadInfo, it loads the side loaded
- * tracks information in the media manager without loading media.
+ * Returns the URL path.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @param {string} url The URL
+ * @return {string} The URL path.
  * @private
  */
-sampleplayer.CastPlayer.prototype.maybeLoadSideLoadedTracksMetadata_ =
-  function (info) {
-    // If there are no tracks we will not load the tracks information here as
-    // we are likely in a embedded captions scenario and the information will
-    // be loaded in the onMetadataLoaded_ callback
-    if (!info.message || !info.message.media || !info.message.media.tracks ||
-      info.message.media.tracks.length == 0) {
-      return;
-    }
-    var tracksInfo = /** @type {cast.receiver.media.TracksInfo} **/ ({
-      tracks: info.message.media.tracks,
-      activeTrackIds: info.message.activeTrackIds,
-      textTrackStyle: info.message.media.textTrackStyle
-    });
-    this.mediaManager_.loadTracksInfo(tracksInfo);
-  };
+sampleplayer.getPath_ = function (url) {
+  var href = document.createElement('a');
+  href.href = url;
+  return href.pathname || '';
+};
 
 
 /**
- * Loads embedded tracks information without loading media.
- * If there is embedded tracks information, it loads the tracks information
- * in the media manager without loading media.
+ * Reads the adaptive bitrate settings from the customData of a LOAD request:
+ * <pre>
+ * "abr": {
+ *   "maxBitrate": 3000000,
+ *   "maxHeight": 720,
+ *   "initialBandwidth": 1500000
+ * }
+ * </pre>
+ * where bitrates and bandwidths are in bits/s and heights in pixels. The
+ * height cap only applies to renditions whose manifest declares a height.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @param {Object|undefined} customData The customData of the LOAD request.
+ * @return {?sampleplayer.AbrConfig} The settings, or null if none.
  * @private
  */
-sampleplayer.CastPlayer.prototype.maybeLoadEmbeddedTracksMetadata_ =
-  function (info) {
-    if (!info.message || !info.message.media) {
-      return;
-    }
-    var tracksInfo = this.readInBandTracksInfo_();
-    if (tracksInfo) {
-      this.textTrackType_ = sampleplayer.TextTrackType.EMBEDDED;
-      tracksInfo.textTrackStyle = info.message.media.textTrackStyle;
-      this.mediaManager_.loadTracksInfo(tracksInfo);
-    }
+sampleplayer.readAbrConfig_ = function (customData) {
+  var abr = customData && customData['abr'];
+  if (!abr) {
+    return null;
+  }
+  return {
+    maxBitrate: Number(abr['maxBitrate']) || 0,
+    maxHeight: Number(abr['maxHeight']) || 0,
+    initialBandwidth: Number(abr['initialBandwidth']) || 0
   };
+};
 
 
 /**
- * Processes ttml tracks and enables the active ones.
+ * Reads the heights of the video renditions declared in a manifest: the
+ * RESOLUTION of HLS #EXT-X-STREAM-INF tags, the height of DASH
+ * representations or the MaxHeight of Smooth Streaming quality levels.
  *
- * @param {!Array.<number>} activeTrackIds The active tracks.
- * @param {!Array.<cast.receiver.media.Track>} tracks The track definitions.
+ * @param {string} manifest The HLS playlist, DASH or Smooth Streaming
+ *     manifest.
+ * @return {!Object.<number, number>} The heights (in pixels), by bitrate (in
+ *     bits/s).
  * @private
  */
-sampleplayer.CastPlayer.prototype.processTtmlCues_ =
-  function (activeTrackIds, tracks) {
-    if (activeTrackIds.length == 0) {
-      return;
-    }
-    // If there is an active text track, that is using ttml, apply it
-    for (var i = 0; i < tracks.length; i++) {
-      var contains = false;
-      for (var j = 0; j < activeTrackIds.length; j++) {
-        if (activeTrackIds[j] == tracks[i].trackId) {
-          contains = true;
-          break;
-        }
-      }
-      if (!contains ||
-        !this.isTtmlTrack_(tracks[i])) {
-        continue;
-      }
-      if (!this.player_) {
-        // We do not have a player, it means we need to create it to support
-        // loading ttml captions
-        var host = new cast.player.api.Host({
-          'url': '',
-          'mediaElement': this.mediaElement_
-        });
-        this.protocol_ = null;
-        this.player_ = new cast.player.api.Player(host);
+sampleplayer.readRenditionHeights_ = function (manifest) {
+  var heights = {};
+  var patterns = [
+    [/#EXT-X-STREAM-INF:(.*)/g, /(?:^|,)BANDWIDTH=(\d+)/,
+      /RESOLUTION=\d+x(\d+)/],
+    [/<Representation\b([^>]*)>/g, /\sbandwidth="(\d+)"/, /\sheight="(\d+)"/],
+    [/<QualityLevel\b([^>]*)>/g, /\sBitrate="(\d+)"/, /\sMaxHeight="(\d+)"/]
+  ];
+  patterns.forEach(function (pattern) {
+    var match;
+    while ((match = pattern[0].exec(manifest))) {
+      var bitrate = pattern[1].exec(match[1]);
+      var height = pattern[2].exec(match[1]);
+      if (bitrate && height) {
+        heights[bitrate[1]] = parseInt(height[1], 10);
       }
-      this.player_.enableCaptions(
-        true, cast.player.api.CaptionsType.TTML, tracks[i].trackContentId);
     }
-  };
+  });
+  return heights;
+};
 
 
 /**
- * Checks if a track is TTML.
+ * Reads the DRM configuration of protected media from the customData of a
+ * LOAD request:
+ * <pre>
+ * "drm": {
+ *   "protectionSystem": "widevine",
+ *   "licenseUrl": "https://license.example.com/",
+ *   "headers": {"X-AxDRM-Message": "..."},
+ *   "withCredentials": true,
+ *   "licenseCustomData": "..."
+ * }
+ * </pre>
+ * where protectionSystem is "widevine", "playready" or "clearkey", and
+ * licenseCustomData is the PlayReady custom data. The receiver cannot set
+ * cookies for the license server, which is on another origin: a session the
+ * license server needs must be sent in a header or in the license custom
+ * data. Loads with "cookies" are rejected with DRM_UNSUPPORTED_OPTION.
  *
- * @param {cast.receiver.media.Track} track The track.
- * @return {boolean} Whether the track is in TTML format.
+ * @param {Object|undefined} customData The customData of the LOAD request.
+ * @return {?sampleplayer.DrmConfig} The DRM configuration, or null if the
+ *     media is not protected.
  * @private
  */
-sampleplayer.CastPlayer.prototype.isTtmlTrack_ = function (track) {
-  return this.isKnownTextTrack_(track,
-    sampleplayer.TextTrackType.SIDE_LOADED_TTML,
-    sampleplayer.CaptionsMimeType.TTML);
+sampleplayer.readDrmConfig_ = function (customData) {
+  var drm = customData && customData['drm'];
+  if (!drm) {
+    return null;
+  }
+  return {
+    protectionSystem: String(drm['protectionSystem'] || '').toLowerCase(),
+    licenseUrl: drm['licenseUrl'] || '',
+    headers: drm['headers'] || {},
+    withCredentials: !!drm['withCredentials'],
+    licenseCustomData: drm['licenseCustomData'] || null,
+    hasCookies: !!drm['cookies']
+  };
 };
 
 
 /**
- * Checks if a track is VTT.
+ * Reads the policy applied to the requests of a media from the customData
+ * of a LOAD request:
+ * <pre>
+ * "requestPolicy": {
+ *   "headers": {"Authorization": "Bearer ..."},
+ *   "queryParams": {"token": "..."},
+ *   "withCredentials": false,
+ *   "tokenRefreshUrl": "https://auth.example.com/token"
+ * }
+ * </pre>
+ * When a request is refused with 401 or 403, the tokenRefreshUrl is fetched
+ * with the current headers; it returns new "headers" and "queryParams" in
+ * the same format, which replace the current ones.
  *
- * @param {cast.receiver.media.Track} track The track.
- * @return {boolean} Whether the track is in VTT format.
+ * @param {Object|undefined} customData The customData of the LOAD request.
+ * @return {?sampleplayer.RequestPolicy} The request policy, or null if none.
  * @private
  */
-sampleplayer.CastPlayer.prototype.isVttTrack_ = function (track) {
-  return this.isKnownTextTrack_(track,
-    sampleplayer.TextTrackType.SIDE_LOADED_VTT,
-    sampleplayer.CaptionsMimeType.VTT);
+sampleplayer.readRequestPolicy_ = function (customData) {
+  var policy = customData && customData['requestPolicy'];
+  if (!policy) {
+    return null;
+  }
+  return {
+    headers: policy['headers'] || {},
+    queryParams: policy['queryParams'] || {},
+    withCredentials: !!policy['withCredentials'],
+    tokenRefreshUrl: policy['tokenRefreshUrl'] || null
+  };
 };
 
 
 /**
- * Checks if a track is of a known type by verifying the extension or mimeType.
+ * Replaces the headers and query parameters of a request policy with the
+ * ones of a token refresh response.
  *
- * @param {cast.receiver.media.Track} track The track.
- * @param {!sampleplayer.TextTrackType} textTrackType The text track
- *     type expected.
- * @param {!string} mimeType The mimeType expected.
- * @return {boolean} Whether the track has the specified format.
+ * @param {!sampleplayer.RequestPolicy} policy The request policy.
+ * @param {!Object} response The token refresh response.
  * @private
  */
-sampleplayer.CastPlayer.prototype.isKnownTextTrack_ =
-  function (track, textTrackType, mimeType) {
-    if (!track) {
-      return false;
-    }
-    // The sampleplayer.TextTrackType values match the
-    // file extensions required
-    var fileExtension = textTrackType;
-    var trackContentId = track.trackContentId;
-    var trackContentType = track.trackContentType;
-    if ((trackContentId &&
-      sampleplayer.getExtension_(trackContentId) === fileExtension) ||
-      (trackContentType && trackContentType.indexOf(mimeType) === 0)) {
-      return true;
-    }
-    return false;
-  };
+sampleplayer.mergeRequestPolicy_ = function (policy, response) {
+  var name;
+  var headers = response['headers'] || {};
+  for (name in headers) {
+    policy.headers[name] = headers[name];
+  }
+  var queryParams = response['queryParams'] || {};
+  for (name in queryParams) {
+    policy.queryParams[name] = queryParams[name];
+  }
+};
 
 
 /**
- * Processes embedded tracks, if they exist.
+ * Applies a request policy to a Media Player Library request.
  *
- * @param {!Array.<number>} activeTrackIds The active tracks.
+ * @param {?sampleplayer.RequestPolicy} policy The request policy, if any.
+ * @param {!cast.player.api.RequestInfo} requestInfo The request.
  * @private
  */
-sampleplayer.CastPlayer.prototype.processInBandTracks_ =
-  function (activeTrackIds) {
-    var protocol = this.player_.getStreamingProtocol();
-    var streamCount = protocol.getStreamCount();
-    for (var i = 0; i < streamCount; i++) {
-      var trackId = i + 1;
-      var isActive = false;
-      for (var j = 0; j < activeTrackIds.length; j++) {
-        if (activeTrackIds[j] == trackId) {
-          isActive = true;
-          break;
-        }
-      }
-      var wasActive = protocol.isStreamEnabled(i);
-      if (isActive && !wasActive) {
-        protocol.enableStream(i, true);
-      } else if (!isActive && wasActive) {
-        protocol.enableStream(i, false);
-      }
-    }
-  };
+sampleplayer.applyRequestPolicy_ = function (policy, requestInfo) {
+  if (!policy) {
+    return;
+  }
+  requestInfo.url = sampleplayer.addQueryParams_(requestInfo.url,
+    policy.queryParams);
+  requestInfo.headers = requestInfo.headers || {};
+  for (var header in policy.headers) {
+    requestInfo.headers[header] = policy.headers[header];
+  }
+  requestInfo.withCredentials = requestInfo.withCredentials ||
+    policy.withCredentials;
+};
 
 
 /**
- * Reads in-band tracks info, if they exist.
+ * Adds query parameters to a URL, replacing the parameters of the same name.
  *
- * @return {cast.receiver.media.TracksInfo} The tracks info.
+ * @param {string} url The URL.
+ * @param {!Object.<string, string>} queryParams The query parameters.
+ * @return {string} The URL with the query parameters.
  * @private
  */
-sampleplayer.CastPlayer.prototype.readInBandTracksInfo_ = function () {
-  var protocol = this.player_ ? this.player_.getStreamingProtocol() : null;
-  if (!protocol) {
-    return null;
-  }
-  var streamCount = protocol.getStreamCount();
-  var activeTrackIds = [];
-  var tracks = [];
-  for (var i = 0; i < streamCount; i++) {
-    var trackId = i + 1;
-    if (protocol.isStreamEnabled(i)) {
-      activeTrackIds.push(trackId);
-    }
-    var streamInfo = protocol.getStreamInfo(i);
-    var mimeType = streamInfo.mimeType;
-    var track;
-    if (mimeType.indexOf(sampleplayer.TrackType.TEXT) === 0 ||
-      mimeType === sampleplayer.CaptionsMimeType.TTML) {
-      track = new cast.receiver.media.Track(
-        trackId, cast.receiver.media.TrackType.TEXT);
-    } else if (mimeType.indexOf(sampleplayer.TrackType.VIDEO) === 0) {
-      track = new cast.receiver.media.Track(
-        trackId, cast.receiver.media.TrackType.VIDEO);
-    } else if (mimeType.indexOf(sampleplayer.TrackType.AUDIO) === 0) {
-      track = new cast.receiver.media.Track(
-        trackId, cast.receiver.media.TrackType.AUDIO);
-    }
-    if (track) {
-      track.name = streamInfo.name;
-      track.language = streamInfo.language;
-      track.trackContentType = streamInfo.mimeType;
-      tracks.push(track);
-    }
-  }
-  if (tracks.length === 0) {
-    return null;
+sampleplayer.addQueryParams_ = function (url, queryParams) {
+  var names = Object.keys(queryParams);
+  if (!url || names.length === 0) {
+    return url;
   }
-  var tracksInfo = /** @type {cast.receiver.media.TracksInfo} **/ ({
-    tracks: tracks,
-    activeTrackIds: activeTrackIds
+  var parsedUrl = new URL(url, window.location.href);
+  names.forEach(function (name) {
+    parsedUrl.searchParams.set(name, queryParams[name]);
   });
-  return tracksInfo;
+  return parsedUrl.toString();
 };
 
 
 /**
- * Loads some media by delegating to default media manager.
+ * Configures a Media Player Library host to request the licenses of
+ * protected media. The license request headers and credentials are applied
+ * by the host license request hook.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load request info.
+ * @param {!cast.player.api.Host} host The host.
+ * @param {?sampleplayer.DrmConfig} drmConfig The DRM configuration, if any.
  * @private
  */
-sampleplayer.CastPlayer.prototype.loadDefault_ = function (info) {
-  this.onLoadOrig_(new cast.receiver.MediaManager.Event(
-    cast.receiver.MediaManager.EventType.LOAD,
-      /** @type {!cast.receiver.MediaManager.RequestData} */(info.message),
-    info.senderId));
+sampleplayer.configureDrm_ = function (host, drmConfig) {
+  if (!drmConfig) {
+    return;
+  }
+  host.protectionSystem = cast.player.api.ContentProtection[
+    sampleplayer.PROTECTION_SYSTEMS_[drmConfig.protectionSystem]];
+  if (drmConfig.licenseUrl) {
+    host.licenseUrl = drmConfig.licenseUrl;
+  }
+  if (drmConfig.licenseCustomData) {
+    host.licenseCustomData = drmConfig.licenseCustomData;
+  }
+  host.updateLicenseRequestInfo = function (requestInfo) {
+    requestInfo.headers = requestInfo.headers || {};
+    for (var header in drmConfig.headers) {
+      requestInfo.headers[header] = drmConfig.headers[header];
+    }
+    requestInfo.withCredentials = drmConfig.withCredentials;
+  };
 };
 
 
 /**
- * Sets the amount of time before the player is considered idle.
+ * Reads the retry budget from the customData of a LOAD request:
+ * <pre>
+ * "retry": {"maxAttempts": 5, "initialDelay": 1, "maxDelay": 30}
+ * </pre>
+ * where the delays are in seconds. Missing values use the defaults.
  *
- * @param {number} t the time in milliseconds before the player goes idle
+ * @param {Object|undefined} customData The customData of the LOAD request.
+ * @return {!sampleplayer.RetryConfig} The retry budget.
  * @private
  */
-sampleplayer.CastPlayer.prototype.setIdleTimeout_ = function (t) {
-  this.log_('setIdleTimeout_: ' + t);
-  var self = this;
-  clearTimeout(this.idleTimerId_);
-  if (t) {
-    this.idleTimerId_ = setTimeout(function () {
-      self.receiverManager_.stop();
-    }, t);
-  }
+sampleplayer.readRetryConfig_ = function (customData) {
+  var retry = (customData && customData['retry']) || {};
+  var maxAttempts = Number(retry['maxAttempts']);
+  return {
+    maxAttempts: maxAttempts >= 0 ? maxAttempts :
+      sampleplayer.RETRY_MAX_ATTEMPTS_,
+    initialDelay: Number(retry['initialDelay']) ||
+      sampleplayer.RETRY_INITIAL_DELAY_,
+    maxDelay: Number(retry['maxDelay']) || sampleplayer.RETRY_MAX_DELAY_
+  };
 };
 
 
 /**
- * Sets the type of player.
+ * Tells whether a Media Player Library error is likely transient: a network
+ * failure without response, a timeout, throttling or a server error.
+ * License failures are not retried.
  *
- * @param {sampleplayer.Type} type The type of player.
- * @param {boolean} isLiveStream whether player is showing live content
+ * @param {cast.player.api.ErrorCode|undefined} errorCode The player error
+ *     code.
+ * @param {number} httpStatus The HTTP status of the failed request, 0 if
+ *     none.
+ * @return {boolean} Whether the content should be reloaded.
  * @private
  */
-sampleplayer.CastPlayer.prototype.setType_ = function (type, isLiveStream) {
-  this.log_('setType_: ' + type);
-  this.type_ = type;
-  this.element_.setAttribute('type', type);
-  this.element_.setAttribute('live', isLiveStream.toString());
-  var overlay = this.getElementByClass_('.overlay');
-  var watermark = this.getElementByClass_('.watermark');
-  clearInterval(this.burnInPreventionIntervalId_);
-  if (type != sampleplayer.Type.AUDIO) {
-    overlay.removeAttribute('style');
-  } else {
-    // if we are in 'audio' mode float metadata around the screen to
-    // prevent screen burn
-    this.burnInPreventionIntervalId_ = setInterval(function () {
-      overlay.style.marginBottom = Math.round(Math.random() * 100) + 'px';
-      overlay.style.marginLeft = Math.round(Math.random() * 600) + 'px';
-    }, sampleplayer.BURN_IN_TIMEOUT);
+sampleplayer.isTransientError_ = function (errorCode, httpStatus) {
+  if (errorCode === cast.player.api.ErrorCode.MEDIAKEYS) {
+    return false;
+  }
+  if (httpStatus === 0) {
+    return errorCode === cast.player.api.ErrorCode.NETWORK;
   }
+  return httpStatus === 408 || httpStatus === 429 || httpStatus >= 500;
 };
 
 
 /**
- * Sets the state of the player.
+ * Tells whether senders can set a playback rate.
  *
- * @param {sampleplayer.State} state the new state of the player
- * @param {boolean=} opt_crossfade true if should cross fade between states
- * @param {number=} opt_delay the amount of time (in ms) to wait
+ * @param {*} rate The playback rate.
+ * @return {boolean} Whether the rate is a number between the lowest and the
+ *     highest rates.
  * @private
  */
-sampleplayer.CastPlayer.prototype.setState_ = function (
-  state, opt_crossfade, opt_delay) {
-  this.log_('setState_: state=' + state + ', crossfade=' + opt_crossfade +
-    ', delay=' + opt_delay);
-  var self = this;
-  self.lastStateTransitionTime_ = Date.now();
-  clearTimeout(self.delay_);
-  if (opt_delay) {
-    var func = function () { self.setState_(state, opt_crossfade); };
-    self.delay_ = setTimeout(func, opt_delay);
-  } else {
-    if (!opt_crossfade) {
-      self.state_ = state;
-      self.element_.setAttribute('state', state);
-      self.updateApplicationState_();
-      self.setIdleTimeout_(sampleplayer.IDLE_TIMEOUT[state.toUpperCase()]);
-    } else {
-      var stateTransitionTime = self.lastStateTransitionTime_;
-      sampleplayer.transition_(self.element_, sampleplayer.TRANSITION_DURATION_,
-        function () {
-          // In the case of a crossfade transition, the transition will be completed
-          // even if setState is called during the transition.  We need to be sure
-          // that the requested state is ignored as the latest setState call should
-          // take precedence.
-          if (stateTransitionTime < self.lastStateTransitionTime_) {
-            self.log_('discarded obsolete deferred state(' + state + ').');
-            return;
-          }
-          self.setState_(state, false);
-        });
-    }
-  }
+sampleplayer.isValidPlaybackRate_ = function (rate) {
+  return typeof rate === 'number' && rate >= sampleplayer.MIN_PLAYBACK_RATE_ &&
+    rate <= sampleplayer.MAX_PLAYBACK_RATE_;
 };
 
 
 /**
- * Updates the application state if it has changed.
+ * Reads the user preferences from the local storage. Invalid values of the
+ * known preferences are dropped.
  *
+ * @return {!Object.<string, *>} The stored preferences, empty if none.
  * @private
  */
-sampleplayer.CastPlayer.prototype.updateApplicationState_ = function () {
-  this.log_('updateApplicationState_');
-  if (this.mediaManager_) {
-    var idle = this.state_ === sampleplayer.State.IDLE;
-    var media = idle ? null : this.mediaManager_.getMediaInformation();
-    var applicationState = sampleplayer.getApplicationState_(media);
-    if (this.currentApplicationState_ != applicationState) {
-      this.currentApplicationState_ = applicationState;
-      this.receiverManager_.setApplicationState(applicationState);
+sampleplayer.loadPreferences_ = function () {
+  var stored;
+  try {
+    stored = JSON.parse(window.localStorage.getItem(
+      sampleplayer.PREFERENCES_STORAGE_KEY_) || '{}');
+  } catch (e) {
+    return {};
+  }
+  var preferences = {};
+  if (!sampleplayer.isPlainObject_(stored)) {
+    return preferences;
+  }
+  for (var name in stored) {
+    if (!sampleplayer.getPreferenceError_(name, stored[name])) {
+      preferences[name] = stored[name];
     }
   }
+  return preferences;
 };
 
 
 /**
- * Called when the player is ready. We initialize the UI for the launching
- * and idle screens.
+ * Checks the value of a user preference. Preferences the player does not
+ * use are not checked.
  *
+ * @param {string} name The preference name.
+ * @param {*} value The preference value.
+ * @return {?string} Why the value is invalid, or null if it is valid.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onReady_ = function () {
-  this.log_('onReady');
-  this.setState_(sampleplayer.State.IDLE, false);
+sampleplayer.getPreferenceError_ = function (name, value) {
+  switch (name) {
+    case 'language':
+      return typeof value === 'string' && value ? null :
+        'language must be a language tag';
+    case 'theme':
+      for (var key in sampleplayer.Theme) {
+        if (sampleplayer.Theme[key] === value) {
+          return null;
+        }
+      }
+      return 'Unknown theme: ' + value;
+    case 'captions':
+      if (!sampleplayer.isPlainObject_(value)) {
+        return 'captions must be an object';
+      }
+      var flags = ['enabled', 'preferSdh', 'preferForced'];
+      for (var i = 0; i < flags.length; i++) {
+        if (flags[i] in value && typeof value[flags[i]] !== 'boolean') {
+          return 'captions.' + flags[i] + ' must be a boolean';
+        }
+      }
+      var languages = value['languages'];
+      if ('languages' in value && !(Array.isArray(languages) &&
+        languages.every(function (language) {
+          return typeof language === 'string' && language;
+        }))) {
+        return 'captions.languages must be an array of language tags';
+      }
+      return null;
+    default:
+      return null;
+  }
 };
 
 
 /**
- * Called when a sender disconnects from the app.
+ * Returns whether a value is a plain object, not null nor an array.
  *
- * @param {cast.receiver.CastReceiverManager.SenderDisconnectedEvent} event
+ * @param {*} value The value.
+ * @return {boolean} Whether the value is a plain object.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onSenderDisconnected_ = function (event) {
-  this.log_('onSenderDisconnected');
-  // When the last or only sender is connected to a receiver,
-  // tapping Disconnect stops the app running on the receiver.
-  if (this.receiverManager_.getSenders().length === 0 &&
-    event.reason ===
-    cast.receiver.system.DisconnectReason.REQUESTED_BY_SENDER) {
-    this.receiverManager_.stop();
-  }
+sampleplayer.isPlainObject_ = function (value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
 };
 
 
 /**
- * Called when media has an error. Transitions to IDLE state and
- * calls to the original media manager implementation.
+ * Selects the text track to show according to caption preferences: among
+ * the subtitles and captions in the best preferred language, the one whose
+ * SDH and forced flags match the preferences. SDH tracks are captions, or
+ * tracks named "SDH"; forced tracks are named "forced".
  *
- * @see cast.receiver.MediaManager#onError
- * @param {!Object} error
+ * @param {!Array.<!cast.receiver.media.Track>} tracks The tracks.
+ * @param {!sampleplayer.CaptionPreferences} preferences The caption
+ *     preferences.
+ * @return {?cast.receiver.media.Track} The text track, or null if captions
+ *     are off or no track is in a preferred language.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onError_ = function (error) {
-  this.log_('onError');
-  var self = this;
-  sampleplayer.transition_(self.element_, sampleplayer.TRANSITION_DURATION_,
-    function () {
-      self.setState_(sampleplayer.State.IDLE, true);
-      // self.onErrorOrig_(error);
-    });
+sampleplayer.selectTextTrack_ = function (tracks, preferences) {
+  if (!preferences.enabled) {
+    return null;
+  }
+  var textTracks = tracks.filter(function (track) {
+    return track.type === cast.receiver.media.TrackType.TEXT &&
+      track.subtype !== cast.receiver.media.TextTrackType.CHAPTERS &&
+      track.subtype !== cast.receiver.media.TextTrackType.METADATA;
+  });
+  var index = sampleplayer.findByLanguage_(textTracks.map(function (track) {
+    return track.language;
+  }), preferences.languages);
+  if (index < 0) {
+    return null;
+  }
+  var language = (textTracks[index].language || '').toLowerCase();
+  var bestTrack = null;
+  var bestScore = -1;
+  textTracks.forEach(function (track) {
+    if ((track.language || '').toLowerCase() !== language) {
+      return;
+    }
+    var isSdh = track.subtype === cast.receiver.media.TextTrackType.CAPTIONS ||
+      /\bSDH\b/i.test(track.name || '');
+    var isForced = /\bforced\b/i.test(track.name || '');
+    var score = (isSdh === preferences.preferSdh ? 2 : 0) +
+      (isForced === preferences.preferForced ? 1 : 0);
+    if (score > bestScore) {
+      bestTrack = track;
+      bestScore = score;
+    }
+  });
+  return bestTrack;
 };
 
 
 /**
- * Called when media is buffering. If we were previously playing,
- * transition to the BUFFERING state.
+ * Returns the preferred audio languages of a media: the "audioLanguages" of
+ * the customData of its LOAD request, most preferred first, or else the
+ * language of the sender:
+ * <pre>
+ * "audioLanguages": ["fr-CA", "fr", "en"]
+ * </pre>
  *
+ * @param {!cast.receiver.MediaManager.LoadRequestData} loadRequest The LOAD
+ *     request.
+ * @return {!Array.<string>} The language tags.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onBuffering_ = function () {
-  this.log_('onBuffering[readyState=' + this.getMediaElement().readyState + ']');
-  if (this.state_ === sampleplayer.State.PLAYING &&
-    this.getMediaElement().readyState < HTMLMediaElement.HAVE_ENOUGH_DATA) {
-    this.setState_(sampleplayer.State.BUFFERING, false);
+sampleplayer.getPreferredAudioLanguages_ = function (loadRequest) {
+  var customData = loadRequest.customData;
+  var languages = customData && customData['audioLanguages'];
+  if (typeof languages === 'string') {
+    return [languages];
+  } else if (Array.isArray(languages)) {
+    return languages;
   }
+  return loadRequest['language'] ? [loadRequest['language']] : [];
 };
 
 
 /**
- * Called when media has started playing. We transition to the
- * PLAYING state.
+ * Finds the language that best matches a list of preferred languages. For
+ * each preferred language in turn, an exact match is looked for first, then
+ * a match of the primary language (e.g. "fr" for "fr-CA").
  *
+ * @param {!Array.<?string|undefined>} languages The languages to choose
+ *     from.
+ * @param {!Array.<string>} preferredLanguages The preferred languages, most
+ *     preferred first.
+ * @return {number} The index of the best language, -1 if none matches.
  * @private
  */
-sampleplayer.CastPlayer.prototype.change = false;
-sampleplayer.CastPlayer.prototype.onPlaying_ = function () {
-  var self = this;
-  this.log_('onPlaying');
-  this.cancelDeferredPlay_('media is already playing');
-  var isAudio = this.type_ == sampleplayer.Type.AUDIO;
-  var isLoading = this.state_ == sampleplayer.State.LOADING;
-  var crossfade = isLoading && !isAudio;
-  this.setState_(sampleplayer.State.PLAYING, crossfade);
-
-
+sampleplayer.findByLanguage_ = function (languages, preferredLanguages) {
+  var tags = languages.map(function (language) {
+    return (language || '').toLowerCase();
+  });
+  for (var i = 0; i < preferredLanguages.length; i++) {
+    var preferred = String(preferredLanguages[i]).toLowerCase();
+    var index = tags.indexOf(preferred);
+    if (index >= 0) {
+      return index;
+    }
+    var primary = preferred.split('-')[0];
+    for (var j = 0; j < tags.length; j++) {
+      if (tags[j] && tags[j].split('-')[0] === primary) {
+        return j;
+      }
+    }
+  }
+  return -1;
 };
 
 
 /**
- * Called when media has been paused. If this is an auto-pause as a result of
- * buffer underflow, we transition to BUFFERING state; otherwise, if the media
- * isn't done, we transition to the PAUSED state.
+ * Returns the type of track of a Media Player Library stream.
  *
+ * @param {string} mimeType The MIME type of the stream.
+ * @return {?sampleplayer.TrackType} The track type, or null if unknown.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onPause_ = function () {
-  this.log_('onPause');
-  this.cancelDeferredPlay_('media is paused');
-  var isIdle = this.state_ === sampleplayer.State.IDLE;
-  var isDone = this.getMediaElement().currentTime === this.getMediaElement().duration;
-  var isUnderflow = this.player_ && this.player_.getState()['underflow'];
-  if (isUnderflow) {
-    this.log_('isUnderflow');
-    this.setState_(sampleplayer.State.BUFFERING, false);
-    this.mediaManager_.broadcastStatus(/* includeMedia */ false);
-  } else if (!isIdle && !isDone) {
-    this.setState_(sampleplayer.State.PAUSED, false);
+sampleplayer.getStreamTrackType_ = function (mimeType) {
+  if (mimeType.indexOf(sampleplayer.TrackType.TEXT) === 0 ||
+    mimeType === sampleplayer.CaptionsMimeType.TTML) {
+    return sampleplayer.TrackType.TEXT;
+  } else if (mimeType.indexOf(sampleplayer.TrackType.VIDEO) === 0) {
+    return sampleplayer.TrackType.VIDEO;
+  } else if (mimeType.indexOf(sampleplayer.TrackType.AUDIO) === 0) {
+    return sampleplayer.TrackType.AUDIO;
   }
-  this.updateProgress_();
+  return null;
 };
 
 
 /**
- * Changes player state reported to sender, if necessary.
- * @param {!cast.receiver.media.MediaStatus} mediaStatus Media status that is
- *     supposed to go to sender.
- * @return {cast.receiver.media.MediaStatus} MediaStatus that will be sent to
- *     sender.
+ * Returns the position (in sec) at which a media starts: the currentTime of
+ * the LOAD request if given, the resume point of its customData otherwise:
+ * <pre>
+ * "resumePoint": 754
+ * </pre>
  *
+ * @param {!cast.receiver.MediaManager.LoadRequestData} loadRequest The LOAD
+ *     request.
+ * @return {number} The start position, 0 to start from the beginning.
  * @private
  */
-sampleplayer.CastPlayer.prototype.customizedStatusCallback_ = function (
-  mediaStatus) {
-  this.log_('customizedStatusCallback_: playerState=' +
-    mediaStatus.playerState + ', this.state_=' + this.state_);
-  // TODO: remove this workaround once MediaManager detects buffering
-  // immediately.
-  if (mediaStatus.playerState === cast.receiver.media.PlayerState.PAUSED &&
-    this.state_ === sampleplayer.State.BUFFERING) {
-    mediaStatus.playerState = cast.receiver.media.PlayerState.BUFFERING;
+sampleplayer.getStartTime_ = function (loadRequest) {
+  if (loadRequest.currentTime > 0) {
+    return loadRequest.currentTime;
   }
-  return mediaStatus;
+  var customData = loadRequest.customData;
+  var resumePoint = Number(customData && customData['resumePoint']);
+  return resumePoint > 0 ? resumePoint : 0;
 };
 
 
 /**
- * Called when we receive a STOP message. We stop the media and transition
- * to the IDLE state.
+ * Creates a playback error.
  *
- * @param {cast.receiver.MediaManager.Event} event The stop event.
+ * @param {sampleplayer.ErrorCode} code The error code.
+ * @param {string} description The description of the error.
+ * @param {number=} opt_httpStatus The HTTP status of the failed request.
+ * @param {number=} opt_retryAttempts The number of times the content was
+ *     reloaded before the error.
+ * @return {!sampleplayer.PlayerError} The error.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onStop_ = function (event) {
-  this.log_('onStop');
-  this.cancelDeferredPlay_('media is stopped');
-  var self = this;
-  sampleplayer.transition_(self.element_, sampleplayer.TRANSITION_DURATION_,
-    function () {
-      self.setState_(sampleplayer.State.IDLE, false);
-      self.onStopOrig_(event);
-    });
+sampleplayer.createError_ = function (code, description, opt_httpStatus,
+  opt_retryAttempts) {
+  return {
+    code: code,
+    description: description,
+    httpStatus: opt_httpStatus || 0,
+    retryAttempts: opt_retryAttempts || 0
+  };
 };
 
 
 /**
- * Called when media has ended. We transition to the IDLE state.
+ * Returns the category of an error code.
  *
+ * @param {sampleplayer.ErrorCode} code The error code.
+ * @return {sampleplayer.ErrorCategory} The error category.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onEnded_ = function () {
-  this.log_('onEnded');
-  // this.setState_(sampleplayer.State.IDLE, true);
-  // this.hidePreviewMode_();
+sampleplayer.getErrorCategory_ = function (code) {
+  switch (code) {
+    case sampleplayer.ErrorCode.LOAD_FAILED:
+    case sampleplayer.ErrorCode.MANIFEST:
+      return sampleplayer.ErrorCategory.LOAD;
+    case sampleplayer.ErrorCode.UNSUPPORTED_TYPE:
+      return sampleplayer.ErrorCategory.UNSUPPORTED_TYPE;
+    case sampleplayer.ErrorCode.NETWORK:
+      return sampleplayer.ErrorCategory.NETWORK;
+    case sampleplayer.ErrorCode.PLAYBACK:
+    case sampleplayer.ErrorCode.DECODE:
+      return sampleplayer.ErrorCategory.DECODE;
+    case sampleplayer.ErrorCode.DRM_UNSUPPORTED_SYSTEM:
+    case sampleplayer.ErrorCode.DRM_LICENSE_REQUEST_FAILED:
+    case sampleplayer.ErrorCode.DRM_LICENSE_UNAUTHORIZED:
+    case sampleplayer.ErrorCode.DRM_LICENSE_SERVER_ERROR:
+    case sampleplayer.ErrorCode.DRM_MEDIA_KEYS:
+    case sampleplayer.ErrorCode.DRM_UNSUPPORTED_OPTION:
+      return sampleplayer.ErrorCategory.DRM;
+    default:
+      return sampleplayer.ErrorCategory.UNKNOWN;
+  }
 };
 
 
 /**
- * Called when media has been aborted. We transition to the IDLE state.
+ * Returns the error messages in a language, falling back to its primary
+ * language (e.g. "fr" for "fr-CA") and then to the default language.
  *
+ * @param {string} language The language tag.
+ * @return {!Object.<string, string>} The error messages.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onAbort_ = function () {
-  this.log_('onAbort');
-  this.setState_(sampleplayer.State.IDLE, true);
-  this.hidePreviewMode_();
+sampleplayer.getErrorMessages_ = function (language) {
+  var tag = language.toLowerCase();
+  return sampleplayer.ERROR_MESSAGES_[tag] ||
+    sampleplayer.ERROR_MESSAGES_[tag.split('-')[0]] ||
+    sampleplayer.ERROR_MESSAGES_[sampleplayer.DEFAULT_LANGUAGE_];
 };
 
 
 /**
- * Called periodically during playback, to notify changes in playback position.
- * We transition to PLAYING state, if we were in BUFFERING or LOADING state.
+ * Maps an error of the media element to the error code reported to
+ * senders.
  *
+ * @param {MediaError} mediaError The media element error, if any.
+ * @return {sampleplayer.ErrorCode} The error code.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onProgress_ = function () {
-  // if we were previously buffering, update state to playing
-  if (this.state_ === sampleplayer.State.BUFFERING ||
-    this.state_ === sampleplayer.State.LOADING) {
-    this.setState_(sampleplayer.State.PLAYING, false);
+sampleplayer.getMediaErrorCode_ = function (mediaError) {
+  switch (mediaError && mediaError.code) {
+    case MediaError.MEDIA_ERR_NETWORK:
+      return sampleplayer.ErrorCode.NETWORK;
+    case MediaError.MEDIA_ERR_DECODE:
+      return sampleplayer.ErrorCode.DECODE;
+    case MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED:
+      return sampleplayer.ErrorCode.UNSUPPORTED_TYPE;
+    default:
+      return sampleplayer.ErrorCode.UNKNOWN;
   }
-  this.updateProgress_();
 };
 
 
 /**
- * Updates the current time and progress bar elements.
+ * Maps a Media Player Library error to the error code reported to senders.
+ * License request failures are told apart by their HTTP status.
  *
+ * @param {cast.player.api.ErrorCode|undefined} errorCode The player error
+ *     code.
+ * @param {number} httpStatus The HTTP status of the failed request, 0 if
+ *     none.
+ * @return {sampleplayer.ErrorCode} The error code.
  * @private
  */
-sampleplayer.CastPlayer.prototype.updateProgress_ = function () {
-  // Update the time and the progress bar
-  if (!sampleplayer.isCastForAudioDevice_()) {
-    var curTime = this.getMediaElement().currentTime;
-    var totalTime = this.getMediaElement().duration;
-    if (!isNaN(curTime) && !isNaN(totalTime)) {
-      var pct = 100 * (curTime / totalTime);
-      this.curTimeElement_.innerText = sampleplayer.formatDuration_(curTime);
-      this.totalTimeElement_.innerText = sampleplayer.formatDuration_(totalTime);
-      this.progressBarInnerElement_.style.width = pct + '%';
-      this.progressBarThumbElement_.style.left = pct + '%';
-      // Handle preview mode
-      if (this.displayPreviewMode_) {
-        this.previewModeTimerElement_.innerText = "" + Math.round(totalTime - curTime);
+sampleplayer.getErrorCode_ = function (errorCode, httpStatus) {
+  switch (errorCode) {
+    case cast.player.api.ErrorCode.MEDIAKEYS:
+      if (httpStatus === 401 || httpStatus === 403) {
+        return sampleplayer.ErrorCode.DRM_LICENSE_UNAUTHORIZED;
+      } else if (httpStatus >= 500) {
+        return sampleplayer.ErrorCode.DRM_LICENSE_SERVER_ERROR;
+      } else if (httpStatus) {
+        return sampleplayer.ErrorCode.DRM_LICENSE_REQUEST_FAILED;
       }
-    }
+      return sampleplayer.ErrorCode.DRM_MEDIA_KEYS;
+    case cast.player.api.ErrorCode.NETWORK:
+      return sampleplayer.ErrorCode.NETWORK;
+    case cast.player.api.ErrorCode.MANIFEST:
+      return sampleplayer.ErrorCode.MANIFEST;
+    case cast.player.api.ErrorCode.PLAYBACK:
+      return sampleplayer.ErrorCode.PLAYBACK;
+    default:
+      return sampleplayer.ErrorCode.UNKNOWN;
   }
 };
 
 
 /**
- * Callback called when user starts seeking
+ * Reads the ad breaks requested in the customData of a LOAD request.
+ * The expected format is:
+ * <pre>
+ * "ads": {
+ *   "vastUrl": "https://example.com/vast.xml",
+ *   "breaks": [30, 600]
+ * }
+ * </pre>
+ * where breaks lists the content positions (in sec) of the ad breaks.
+ * A VMAP ad schedule can be given instead, inline as "vmap" or by URL as
+ * "vmapUrl" (see sampleplayer.parseVmap_).
  *
+ * @param {Object|undefined} customData The customData of the LOAD request.
+ * @return {!Array.<!sampleplayer.AdBreak>} The ad breaks.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onSeekStart_ = function () {
-  this.log_('onSeekStart');
-  clearTimeout(this.seekingTimeoutId_);
-  this.element_.classList.add('seeking');
+sampleplayer.readAdBreaks_ = function (customData) {
+  var ads = customData && customData['ads'];
+  if (!ads || !ads['vastUrl']) {
+    return [];
+  }
+  var positions = ads['breaks'] || [];
+  var adBreaks = [];
+  for (var i = 0; i < positions.length; i++) {
+    var timeOffset = Number(positions[i]);
+    if (isNaN(timeOffset) || timeOffset < 0) {
+      continue;
+    }
+    adBreaks.push(new sampleplayer.AdBreak('break-' + i, timeOffset,
+      ads['vastUrl']));
+  }
+  return adBreaks;
 };
 
 
 /**
- * Callback called when user stops seeking.
+ * Adds or removes event listeners.
  *
+ * @param {!EventTarget} target The target of the events.
+ * @param {!Object.<string, function(!Event)>} listeners The listeners, by
+ *     event type.
+ * @param {boolean} add Whether to add or remove the listeners.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onSeekEnd_ = function () {
-  this.log_('onSeekEnd');
-  clearTimeout(this.seekingTimeoutId_);
-  this.seekingTimeoutId_ = sampleplayer.addClassWithTimeout_(this.element_,
-    'seeking', 3000);
+sampleplayer.toggleEventListeners_ = function (target, listeners, add) {
+  for (var type in listeners) {
+    if (add) {
+      target.addEventListener(type, listeners[type], false);
+    } else {
+      target.removeEventListener(type, listeners[type], false);
+    }
+  }
 };
 
 
 /**
- * Called when the player is added/removed from the screen because HDMI
- * input has changed. If we were playing but no longer visible, pause
- * the currently playing media.
+ * Crossfades the volume of two media elements.
  *
- * @see cast.receiver.CastReceiverManager#onVisibilityChanged
- * @param {!cast.receiver.CastReceiverManager.VisibilityChangedEvent} event
- *    Event fired when visibility of application is changed.
+ * @param {!HTMLMediaElement} fromElement The element faded out.
+ * @param {!HTMLMediaElement} toElement The element faded in.
+ * @param {number} duration The crossfade duration (in sec).
+ * @param {function()} doneFunc The function to call once the crossfade is
+ *     over.
+ * @return {number|undefined} The id of the interval running the crossfade,
+ *     undefined if there is no crossfade.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onVisibilityChanged_ = function (event) {
-  this.log_('onVisibilityChanged');
-  if (!event.isVisible) {
-    this.getMediaElement().pause();
-    this.mediaManager_.broadcastStatus(false);
+sampleplayer.crossfade_ = function (fromElement, toElement, duration,
+  doneFunc) {
+  if (duration <= 0) {
+    toElement.volume = 1;
+    doneFunc();
+    return undefined;
   }
+  var startTime = Date.now();
+  var intervalId = setInterval(function () {
+    var ratio = Math.min(1, (Date.now() - startTime) / (duration * 1000));
+    fromElement.volume = 1 - ratio;
+    toElement.volume = ratio;
+    if (ratio === 1) {
+      clearInterval(intervalId);
+      doneFunc();
+    }
+  }, 50);
+  return intervalId;
 };
 
 
 /**
- * Called when we receive a PRELOAD message.
+ * Creates a seeded random number generator (mulberry32), so that a sequence
+ * of random numbers can be reproduced.
  *
- * @see castplayer.CastPlayer#load
- * @param {cast.receiver.MediaManager.Event} event The load event.
- * @return {boolean} Whether the item can be preloaded.
+ * @param {number} seed The seed.
+ * @return {function(): number} A function returning numbers in [0, 1).
  * @private
  */
-sampleplayer.CastPlayer.prototype.onPreload_ = function (event) {
-  this.log_('onPreload_');
-  var loadRequestData =
-      /** @type {!cast.receiver.MediaManager.LoadRequestData} */ (event.data);
-  return this.preload(loadRequestData.media);
+sampleplayer.createRandom_ = function (seed) {
+  var state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 };
 
 
 /**
- * Called when we receive a CANCEL_PRELOAD message.
+ * Reads the ad break cues of a live stream manifest: HLS #EXT-X-CUE-OUT and
+ * #EXT-X-DATERANGE tags with SCTE35-OUT, or DASH event streams using a
+ * SCTE-35 scheme.
  *
- * @see castplayer.CastPlayer#load
- * @param {cast.receiver.MediaManager.Event} event The load event.
- * @return {boolean} Whether the item can be preloaded.
+ * @param {string} manifest The HLS playlist or DASH manifest.
+ * @return {!Array.<sampleplayer.LiveCue>} The cues, in manifest order.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onCancelPreload_ = function (event) {
-  this.log_('onCancelPreload_');
-  this.hidePreviewMode_();
-  return true;
+sampleplayer.readLiveCues_ = function (manifest) {
+  if (manifest.trim().charAt(0) === '<') {
+    return sampleplayer.readDashCues_(
+      new DOMParser().parseFromString(manifest, 'text/xml'));
+  }
+  return sampleplayer.readHlsCues_(manifest);
 };
 
 
 /**
- * Called when we receive a LOAD message. Calls load().
+ * Reads the ad break cues of an HLS media playlist. Cue-out tags have no id,
+ * so they are identified by the media sequence number of their segment.
  *
- * @see sampleplayer#load
- * @param {cast.receiver.MediaManager.Event} event The load event.
+ * @param {string} playlist The HLS playlist.
+ * @return {!Array.<sampleplayer.LiveCue>} The cues, in playlist order.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onLoad_ = function (event) {
-  this.log_('onLoad_');
-  this.cancelDeferredPlay_('new media is loaded');
-  this.load(new cast.receiver.MediaManager.LoadInfo(
-      /** @type {!cast.receiver.MediaManager.LoadRequestData} */(event.data),
-    event.senderId));
+sampleplayer.readHlsCues_ = function (playlist) {
+  var cues = [];
+  var mediaSequence = 0;
+  var segment = 0;
+  var lines = playlist.split(/\r?\n/);
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+    if (line.indexOf('#EXT-X-MEDIA-SEQUENCE:') === 0) {
+      mediaSequence = parseInt(line.substring(22), 10) || 0;
+    } else if (line.indexOf('#EXTINF:') === 0) {
+      segment++;
+    } else if (line === '#EXT-X-CUE-OUT' ||
+      line.indexOf('#EXT-X-CUE-OUT:') === 0) {
+      var duration = /([\d.]+)/.exec(line.substring(14));
+      cues.push({
+        id: 'cue-' + (mediaSequence + segment),
+        duration: duration ? parseFloat(duration[1]) : NaN
+      });
+    } else if (line.indexOf('#EXT-X-DATERANGE:') === 0) {
+      var attributes = {};
+      var attributeRegExp = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+      var match;
+      while ((match = attributeRegExp.exec(line.substring(17)))) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+      }
+      if (attributes['SCTE35-OUT'] && attributes['ID']) {
+        cues.push({
+          id: attributes['ID'],
+          duration: parseFloat(attributes['PLANNED-DURATION'] ||
+            attributes['DURATION'])
+        });
+      }
+    }
+  }
+  return cues;
 };
 
 
 /**
- * Called when we receive a EDIT_TRACKS_INFO message.
+ * Reads the ad break cues of the SCTE-35 event streams of a DASH manifest.
  *
- * @param {!cast.receiver.MediaManager.Event} event The editTracksInfo event.
+ * @param {Document} mpd The DASH manifest.
+ * @return {!Array.<sampleplayer.LiveCue>} The cues, in manifest order.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onEditTracksInfo_ = function (event) {
-  this.log_('onEditTracksInfo');
-  this.onEditTracksInfoOrig_(event);
-
-  // If the captions are embedded or ttml we need to enable/disable tracks
-  // as needed (vtt is processed by the media manager)
-  if (!event.data || !event.data.activeTrackIds || !this.textTrackType_) {
-    return;
-  }
-  var mediaInformation = this.mediaManager_.getMediaInformation() || {};
-  var type = this.textTrackType_;
-  if (type == sampleplayer.TextTrackType.SIDE_LOADED_TTML) {
-    // The player_ may not have been created yet if the type of media did
-    // not require MPL. It will be lazily created in processTtmlCues_
-    if (this.player_) {
-      this.player_.enableCaptions(false, cast.player.api.CaptionsType.TTML);
+sampleplayer.readDashCues_ = function (mpd) {
+  var cues = [];
+  var eventStreams = mpd.getElementsByTagNameNS('*', 'EventStream');
+  for (var i = 0; i < eventStreams.length; i++) {
+    var eventStream = eventStreams[i];
+    var scheme = eventStream.getAttribute('schemeIdUri') || '';
+    if (scheme.indexOf('urn:scte:scte35:') !== 0) {
+      continue;
+    }
+    var timescale = Number(eventStream.getAttribute('timescale')) || 1;
+    var events = sampleplayer.getChildElements_(eventStream, 'Event');
+    for (var j = 0; j < events.length; j++) {
+      var event = events[j];
+      var id = event.getAttribute('id') ||
+        event.getAttribute('presentationTime') || String(j);
+      cues.push({
+        id: 'event-' + id,
+        duration: Number(event.getAttribute('duration')) / timescale
+      });
     }
-    this.processTtmlCues_(event.data.activeTrackIds,
-      mediaInformation.tracks || []);
-  } else if (type == sampleplayer.TextTrackType.EMBEDDED) {
-    this.player_.enableCaptions(false);
-    this.processInBandTracks_(event.data.activeTrackIds);
-    this.player_.enableCaptions(true);
   }
+  return cues;
 };
 
 
 /**
- * Called when metadata is loaded, at this point we have the tracks information
- * if we need to provision embedded captions.
+ * Returns the first ads of a pod whose total duration fits the given
+ * duration. Ads of unknown duration are kept.
  *
- * @param {!cast.receiver.MediaManager.LoadInfo} info The load information.
+ * @param {!Array.<sampleplayer.Ad>} ads The ads of the pod.
+ * @param {number} maxDuration The maximum duration (in sec), NaN if not
+ *     limited.
+ * @return {!Array.<sampleplayer.Ad>} The ads to play.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onMetadataLoaded_ = function (info) {
-  this.log_('onMetadataLoaded');
-  this.onLoadSuccess_();
-  // In the case of ttml and embedded captions we need to load the cues using
-  // MPL.
-  this.readSideLoadedTextTrackType_(info);
-
-  if (this.textTrackType_ ==
-    sampleplayer.TextTrackType.SIDE_LOADED_TTML &&
-    info.message && info.message.activeTrackIds && info.message.media &&
-    info.message.media.tracks) {
-    this.processTtmlCues_(
-      info.message.activeTrackIds, info.message.media.tracks);
-  } else if (!this.textTrackType_) {
-    // If we do not have a textTrackType, check if the tracks are embedded
-    this.maybeLoadEmbeddedTracksMetadata_(info);
+sampleplayer.fitAdPod_ = function (ads, maxDuration) {
+  if (isNaN(maxDuration)) {
+    return ads;
   }
-  // Only send load completed when we have completed the player LOADING state
-  this.metadataLoaded_ = true;
-  this.maybeSendLoadCompleted_(info);
+  var total = 0;
+  var fittingAds = [];
+  for (var i = 0; i < ads.length; i++) {
+    total += ads[i].duration || 0;
+    if (total > maxDuration) {
+      break;
+    }
+    fittingAds.push(ads[i]);
+  }
+  return fittingAds;
 };
 
 
 /**
- * Called when the media could not be successfully loaded. Transitions to
- * IDLE state and calls the original media manager implementation.
+ * Parses the linear ad breaks of a VMAP document. Breaks are scheduled by
+ * their timeOffset: "start", "end", a time (HH:MM:SS.mmm) or a percentage of
+ * the content duration. Their ads come from an AdTagURI or from inline
+ * VASTAdData.
  *
- * @see cast.receiver.MediaManager#onLoadMetadataError
- * @param {!cast.receiver.MediaManager.LoadInfo} event The data
- *     associated with a LOAD event.
+ * @param {Document} vmap The VMAP document.
+ * @return {!Array.<!sampleplayer.AdBreak>} The ad breaks, in document order.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onLoadMetadataError_ = function (event) {
-  this.log_('onLoadMetadataError_');
-  var self = this;
-  sampleplayer.transition_(self.element_, sampleplayer.TRANSITION_DURATION_,
-    function () {
-      self.setState_(sampleplayer.State.IDLE, true);
-      self.onLoadMetadataErrorOrig_(event);
-    });
+sampleplayer.parseVmap_ = function (vmap) {
+  var root = vmap && vmap.documentElement;
+  if (!root || root.localName !== 'VMAP') {
+    return [];
+  }
+  var breakElements = sampleplayer.getChildElements_(root, 'AdBreak');
+  var adBreaks = [];
+  for (var i = 0; i < breakElements.length; i++) {
+    var breakElement = breakElements[i];
+    var breakType = breakElement.getAttribute('breakType') || 'linear';
+    if (breakType.split(',').indexOf('linear') < 0) {
+      continue;
+    }
+    var adSource = sampleplayer.getChildElement_(breakElement, 'AdSource');
+    var vastUrl = sampleplayer.getElementText_(
+      sampleplayer.getChildElement_(adSource, 'AdTagURI'));
+    var vastData = sampleplayer.getChildElement_(adSource, 'VASTAdData') ||
+      sampleplayer.getChildElement_(adSource, 'VASTData');
+    var vast = sampleplayer.getChildElement_(vastData, 'VAST');
+    if (!vastUrl && !vast) {
+      continue;
+    }
+    var timeOffset = breakElement.getAttribute('timeOffset') || '';
+    var percentage = null;
+    var time;
+    if (timeOffset === 'start') {
+      time = 0;
+    } else if (timeOffset === 'end') {
+      time = Infinity;
+    } else if (/^\d+(\.\d+)?%$/.test(timeOffset)) {
+      percentage = parseFloat(timeOffset);
+      time = percentage >= 100 ? Infinity : NaN;
+    } else {
+      time = sampleplayer.parseVastTime_(timeOffset);
+      if (isNaN(time)) {
+        // Positional offsets (#n) are not supported.
+        continue;
+      }
+    }
+    var adBreak = new sampleplayer.AdBreak(
+      breakElement.getAttribute('breakId') || 'vmap-' + i, time,
+      vastUrl || null, vast);
+    if (percentage !== null && percentage < 100) {
+      adBreak.percentage = percentage;
+    }
+    adBreak.allowMultipleAds =
+      !adSource || adSource.getAttribute('allowMultipleAds') !== 'false';
+    adBreaks.push(adBreak);
+  }
+  return adBreaks;
 };
 
 
 /**
- * Cancels deferred playback.
+ * Fetches a VAST response and resolves its ads, following wrappers. If the
+ * top-level response cannot be fetched or parsed, the error is notified
+ * through errorFunc, without VAST error URLs; the failures of wrapped
+ * responses are notified to the error URLs of their wrapper instead.
  *
- * @param {string} cancelReason
+ * @param {string} url The VAST tag URL.
+ * @param {number} depth The number of wrappers already followed.
+ * @param {function(!Array.<string>, sampleplayer.VastErrorCode)} errorFunc
+ *     The function to call with the error tracking URLs to notify when an ad
+ *     cannot be resolved.
+ * @param {function(!Array.<!sampleplayer.Ad>, sampleplayer.VastErrorCode=)}
+ *     doneFunc The function to call with the ads, in playback order. Ads
+ *     that cannot be resolved are left out. If there are no ads, the reason
+ *     is given as a VAST error code.
  * @private
  */
-sampleplayer.CastPlayer.prototype.cancelDeferredPlay_ = function (cancelReason) {
-  if (this.deferredPlayCallbackId_) {
-    this.log_('Cancelled deferred playback: ' + cancelReason);
-    clearTimeout(this.deferredPlayCallbackId_);
-    this.deferredPlayCallbackId_ = null;
-  }
+sampleplayer.loadVast_ = function (url, depth, errorFunc, doneFunc) {
+  var fail = function (errorCode) {
+    if (depth === 0) {
+      errorFunc([], errorCode);
+    }
+    doneFunc([], errorCode);
+  };
+  sampleplayer.fetchXml_(url, sampleplayer.VAST_TIMEOUT_,
+    function (xml, timedOut) {
+      if (!xml) {
+        fail(timedOut ? sampleplayer.VastErrorCode.WRAPPER_TIMEOUT :
+          sampleplayer.VastErrorCode.WRAPPER);
+        return;
+      }
+      if (!xml.documentElement || xml.documentElement.localName !== 'VAST') {
+        fail(sampleplayer.VastErrorCode.XML_PARSING);
+        return;
+      }
+      sampleplayer.readVastAds_(xml.documentElement, depth, errorFunc,
+        doneFunc);
+    });
 };
 
 
 /**
- * Defers playback start by given timeout.
+ * Resolves the ads of a VAST document, following wrappers in order. The
+ * tracking URLs of a wrapper are added to the ads it leads to, and its error
+ * URLs are notified if it leads to no ads.
  *
- * @param {number} timeout In msec.
+ * @param {!Element} vast The VAST root element.
+ * @param {number} depth The number of wrappers already followed.
+ * @param {function(!Array.<string>, sampleplayer.VastErrorCode)} errorFunc
+ *     The function to call with the error tracking URLs to notify when an ad
+ *     cannot be resolved.
+ * @param {function(!Array.<!sampleplayer.Ad>, sampleplayer.VastErrorCode=)}
+ *     doneFunc The function to call with the ads, in playback order.
  * @private
  */
-sampleplayer.CastPlayer.prototype.deferPlay_ = function (timeout) {
-  this.log_('Defering playback for ' + timeout + ' ms');
-  var self = this;
-  this.deferredPlayCallbackId_ = setTimeout(function () {
-    self.deferredPlayCallbackId_ = null;
-    if (self.player_) {
-      self.log_('Playing when enough data');
-      self.player_.playWhenHaveEnoughData();
-    } else {
-      self.log_('Playing');
-      self.mediaElement_.play().then(function () {
-        setTimeout(function () {
-          sampleplayer.CastPlayer.prototype.change = true;
-          var src = self.mediaElement_.src
-          self.mediaElement_.pause();
-          self.mediaElement_.src = '';
-          // self.mediaElement_.load();
-          self.mediaElement_.style.display = 'none';
-          self.mediaElement_2.src = 'http://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4';
-          self.mediaElement_2.style.display = 'block';
-          self.mediaElement2 = true;
-          self.mediaElement_2.play().then(function () {
-            self.mediaManager_.setMediaElement(self.mediaElement_2);
-            // self.mediaManager_.broadcastStatus(/* includeMedia */ false);
-            self.mediaElement_2.addEventListener('ended', myHandler, false);
-            function myHandler(e) {
-              sampleplayer.CastPlayer.prototype.change = true;
-              self.mediaElement_2.pause();
-              self.mediaManager_.resetMediaElement(cast.receiver.media.IdleReason.FINISHED, true);
-              self.mediaElement_2.src = '';
-              // self.mediaElement_2.load()
-              self.mediaElement_2.style.display = 'none';
-              self.mediaElement_.src = src;
-              self.mediaElement_.style.display = 'block';
-              self.mediaElement2 = false;
-              self.setState_(sampleplayer.State.BUFFERING, true);
-              self.mediaElement_.play().then(function () {
-                self.setState_(sampleplayer.State.PLAYING, true);
-                
-                self.mediaManager_.setMediaElement(self.mediaElement_);
-                // self.mediaManager_.broadcastStatus(/* includeMedia */ false);
-
-              });
-
-            }
-
-          });
-        }, 10000)
-      });
+sampleplayer.readVastAds_ = function (vast, depth, errorFunc, doneFunc) {
+  var adElements = sampleplayer.getVastAdElements_(vast);
+  if (adElements.length === 0) {
+    errorFunc(sampleplayer.getChildElements_(vast, 'Error').map(
+      sampleplayer.getElementText_),
+      sampleplayer.VastErrorCode.NO_ADS_AFTER_WRAPPER);
+    doneFunc([], sampleplayer.VastErrorCode.NO_ADS_AFTER_WRAPPER);
+    return;
+  }
+  var ads = [];
+  var index = 0;
+  function next() {
+    if (index >= adElements.length) {
+      doneFunc(ads, ads.length ? undefined :
+        sampleplayer.VastErrorCode.NO_ADS_AFTER_WRAPPER);
+      return;
     }
-  }, timeout);
+    var adElement = adElements[index++];
+    var inLine = sampleplayer.getChildElement_(adElement, 'InLine');
+    if (inLine) {
+      var ad = sampleplayer.parseVastInLine_(adElement, inLine);
+      if (ad) {
+        ads.push(ad);
+      }
+      next();
+      return;
+    }
+    var wrapper = sampleplayer.getChildElement_(adElement, 'Wrapper');
+    if (!wrapper) {
+      next();
+      return;
+    }
+    var wrapperTracking = sampleplayer.readVastTracking_(wrapper);
+    var tagUri = sampleplayer.getElementText_(
+      sampleplayer.getChildElement_(wrapper, 'VASTAdTagURI'));
+    if (!tagUri || depth >= sampleplayer.MAX_VAST_WRAPPER_DEPTH_) {
+      errorFunc(wrapperTracking.errors, tagUri ?
+        sampleplayer.VastErrorCode.WRAPPER_LIMIT :
+        sampleplayer.VastErrorCode.WRAPPER);
+      next();
+      return;
+    }
+    sampleplayer.loadVast_(tagUri, depth + 1, errorFunc,
+      function (wrappedAds, opt_errorCode) {
+        if (wrappedAds.length === 0) {
+          errorFunc(wrapperTracking.errors, opt_errorCode ||
+            sampleplayer.VastErrorCode.NO_ADS_AFTER_WRAPPER);
+        }
+        for (var i = 0; i < wrappedAds.length; i++) {
+          sampleplayer.mergeAdTracking_(wrappedAds[i].tracking,
+            wrapperTracking);
+        }
+        ads = ads.concat(wrappedAds);
+        next();
+      });
+  }
+  next();
 };
 
 
 /**
- * Called when the media is successfully loaded. Updates the progress bar.
+ * Reads the impression, error and linear tracking event URLs of a VAST
+ * InLine or Wrapper element, and the companion creativeView URLs of a
+ * Wrapper element. The companion URLs of an InLine element are kept with
+ * each companion, since only the companion shown is tracked.
  *
+ * @param {!Element} container The InLine or Wrapper element.
+ * @return {sampleplayer.AdTracking} The tracking URLs.
  * @private
  */
-sampleplayer.CastPlayer.prototype.onLoadSuccess_ = function () {
-  this.log_('onLoadSuccess');
-  // we should have total time at this point, so update the label
-  // and progress bar
-  var totalTime = this.getMediaElement().duration;
-  if (!isNaN(totalTime)) {
-    this.totalTimeElement_.textContent =
-      sampleplayer.formatDuration_(totalTime);
-  } else {
-    this.totalTimeElement_.textContent = '';
-    this.progressBarInnerElement_.style.width = '100%';
-    this.progressBarThumbElement_.style.left = '100%';
+sampleplayer.readVastTracking_ = function (container) {
+  var tracking = {
+    impressions: sampleplayer.getChildElements_(container, 'Impression').map(
+      sampleplayer.getElementText_).filter(Boolean),
+    errors: sampleplayer.getChildElements_(container, 'Error').map(
+      sampleplayer.getElementText_).filter(Boolean),
+    events: {},
+    companionViews: []
+  };
+  var creatives = sampleplayer.getChildElements_(
+    sampleplayer.getChildElement_(container, 'Creatives'), 'Creative');
+  if (container.localName === 'Wrapper') {
+    tracking.companionViews = sampleplayer.readVastCompanionViews_(creatives);
+  }
+  for (var i = 0; i < creatives.length; i++) {
+    var linear = sampleplayer.getChildElement_(creatives[i], 'Linear');
+    var trackingElements = sampleplayer.getChildElements_(
+      sampleplayer.getChildElement_(linear, 'TrackingEvents'), 'Tracking');
+    for (var j = 0; j < trackingElements.length; j++) {
+      var eventName = trackingElements[j].getAttribute('event');
+      var url = sampleplayer.getElementText_(trackingElements[j]);
+      if (eventName && url) {
+        tracking.events[eventName] = tracking.events[eventName] || [];
+        tracking.events[eventName].push(url);
+      }
+    }
   }
+  return tracking;
 };
 
 
 /**
- * Returns the image url for the given media object.
+ * Adds the tracking URLs of a wrapper to the tracking URLs of an ad.
  *
- * @param {!cast.receiver.media.MediaInformation} media The media.
- * @return {string|undefined} The image url.
+ * @param {sampleplayer.AdTracking} tracking The ad tracking URLs.
+ * @param {sampleplayer.AdTracking} wrapperTracking The wrapper tracking URLs.
  * @private
  */
-sampleplayer.getMediaImageUrl_ = function (media) {
-  var metadata = media.metadata || {};
-  var images = metadata['images'] || [];
-  return images && images[0] && images[0]['url'];
+sampleplayer.mergeAdTracking_ = function (tracking, wrapperTracking) {
+  tracking.impressions = tracking.impressions.concat(
+    wrapperTracking.impressions);
+  tracking.errors = tracking.errors.concat(wrapperTracking.errors);
+  tracking.companionViews = tracking.companionViews.concat(
+    wrapperTracking.companionViews);
+  for (var eventName in wrapperTracking.events) {
+    tracking.events[eventName] = (tracking.events[eventName] || []).concat(
+      wrapperTracking.events[eventName]);
+  }
 };
 
 
 /**
- * Gets the adaptive streaming protocol creation function based on the media
- * information.
+ * Returns the Ad elements of a VAST document that should be played. If the
+ * response contains an ad pod (ads with a sequence), the pod is returned in
+ * sequence order; otherwise only the first stand-alone ad is returned.
  *
- * @param {!cast.receiver.media.MediaInformation} mediaInformation The
- *     asset media information.
- * @return {?function(cast.player.api.Host):player.StreamingProtocol}
- *     The protocol function that corresponds to this media type.
+ * @param {!Element} vast The VAST root element.
+ * @return {!Array.<!Element>} The Ad elements to play.
  * @private
  */
-sampleplayer.getProtocolFunction_ = function (mediaInformation) {
-  var url = mediaInformation.contentId;
-  var type = mediaInformation.contentType || '';
-  var path = sampleplayer.getPath_(url) || '';
-  if (sampleplayer.getExtension_(path) === 'm3u8' ||
-    type === 'application/x-mpegurl' ||
-    type === 'application/vnd.apple.mpegurl') {
-    return cast.player.api.CreateHlsStreamingProtocol;
-  } else if (sampleplayer.getExtension_(path) === 'mpd' ||
-    type === 'application/dash+xml') {
-    return cast.player.api.CreateDashStreamingProtocol;
-  } else if (path.indexOf('.ism') > -1 ||
-    type === 'application/vnd.ms-sstr+xml') {
-    return cast.player.api.CreateSmoothStreamingProtocol;
+sampleplayer.getVastAdElements_ = function (vast) {
+  var adElements = sampleplayer.getChildElements_(vast, 'Ad');
+  var pod = adElements.filter(function (adElement) {
+    return adElement.hasAttribute('sequence');
+  });
+  if (pod.length > 0) {
+    pod.sort(function (a, b) {
+      return parseInt(a.getAttribute('sequence'), 10) -
+        parseInt(b.getAttribute('sequence'), 10);
+    });
+    return pod;
   }
-  return null;
+  return adElements.slice(0, 1);
 };
 
 
 /**
- * Returns true if the media can be preloaded.
+ * Parses the linear creative of a VAST InLine ad.
  *
- * @param {!cast.receiver.media.MediaInformation} media The media information.
- * @return {boolean} whether the media can be preloaded.
+ * @param {!Element} adElement The Ad element.
+ * @param {!Element} inLine The InLine element of the ad.
+ * @return {?sampleplayer.Ad} The ad, or null if it has no linear creative.
  * @private
  */
-sampleplayer.supportsPreload_ = function (media) {
-  return sampleplayer.getProtocolFunction_(media) != null;
+sampleplayer.parseVastInLine_ = function (adElement, inLine) {
+  var creatives = sampleplayer.getChildElements_(
+    sampleplayer.getChildElement_(inLine, 'Creatives'), 'Creative');
+  for (var i = 0; i < creatives.length; i++) {
+    var linear = sampleplayer.getChildElement_(creatives[i], 'Linear');
+    if (!linear) {
+      continue;
+    }
+    var mediaFileElements = sampleplayer.getChildElements_(
+      sampleplayer.getChildElement_(linear, 'MediaFiles'), 'MediaFile');
+    var mediaFiles = [];
+    for (var j = 0; j < mediaFileElements.length; j++) {
+      var mediaFileElement = mediaFileElements[j];
+      var url = sampleplayer.getElementText_(mediaFileElement);
+      if (!url) {
+        continue;
+      }
+      mediaFiles.push({
+        url: url,
+        type: mediaFileElement.getAttribute('type') || '',
+        delivery: mediaFileElement.getAttribute('delivery') || 'progressive',
+        width: parseInt(mediaFileElement.getAttribute('width'), 10) || 0,
+        height: parseInt(mediaFileElement.getAttribute('height'), 10) || 0,
+        bitrate: parseInt(mediaFileElement.getAttribute('bitrate'), 10) || 0
+      });
+    }
+    var duration = sampleplayer.parseVastTime_(sampleplayer.getElementText_(
+      sampleplayer.getChildElement_(linear, 'Duration')));
+    var skipOffset = linear.getAttribute('skipoffset') || '';
+    return {
+      id: adElement.getAttribute('id') || '',
+      sequence: parseInt(adElement.getAttribute('sequence'), 10) || 0,
+      duration: duration,
+      skipOffset: /%$/.test(skipOffset) ?
+        duration * parseFloat(skipOffset) / 100 :
+        sampleplayer.parseVastTime_(skipOffset),
+      mediaFiles: mediaFiles,
+      companions: sampleplayer.readVastCompanions_(creatives),
+      tracking: sampleplayer.readVastTracking_(inLine)
+    };
+  }
+  return null;
 };
 
 
 /**
- * Returns true if the preview UI should be shown for the type of media
- * although the media can not be preloaded.
+ * Reads the companion banners of the creatives of a VAST inline ad.
+ * Companions without a supported resource are ignored.
  *
- * @param {!cast.receiver.media.MediaInformation} media The media information.
- * @return {boolean} whether the media can be previewed.
+ * @param {!Array.<!Element>} creatives The Creative elements.
+ * @return {!Array.<sampleplayer.AdCompanion>} The companions.
  * @private
  */
-sampleplayer.canDisplayPreview_ = function (media) {
-  var contentId = media.contentId || '';
-  var contentUrlPath = sampleplayer.getPath_(contentId);
-  if (sampleplayer.getExtension_(contentUrlPath) === 'mp4') {
-    return true;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'ogv') {
-    return true;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'webm') {
-    return true;
+sampleplayer.readVastCompanions_ = function (creatives) {
+  var companions = [];
+  for (var i = 0; i < creatives.length; i++) {
+    var companionElements = sampleplayer.getChildElements_(
+      sampleplayer.getChildElement_(creatives[i], 'CompanionAds'),
+      'Companion');
+    for (var j = 0; j < companionElements.length; j++) {
+      var companionElement = companionElements[j];
+      var type = null;
+      var resource = '';
+      for (var key in sampleplayer.AdCompanionType) {
+        resource = sampleplayer.getElementText_(sampleplayer.getChildElement_(
+          companionElement, sampleplayer.AdCompanionType[key]));
+        if (resource) {
+          type = sampleplayer.AdCompanionType[key];
+          break;
+        }
+      }
+      if (!type) {
+        continue;
+      }
+      companions.push({
+        type: type,
+        resource: resource,
+        width: parseInt(companionElement.getAttribute('width'), 10) || 0,
+        height: parseInt(companionElement.getAttribute('height'), 10) || 0,
+        creativeViews: sampleplayer.readCompanionViews_(companionElement)
+      });
+    }
   }
-  return false;
+  return companions;
 };
 
 
 /**
- * Returns the type of player to use for the given media.
- * By default this looks at the media's content type, but falls back
- * to file extension if not set.
+ * Reads the creativeView tracking URLs of all the companions of the
+ * creatives of a VAST wrapper.
  *
- * @param {!cast.receiver.media.MediaInformation} media The media.
- * @return {sampleplayer.Type} The player type.
+ * @param {!Array.<!Element>} creatives The Creative elements.
+ * @return {!Array.<string>} The tracking URLs.
  * @private
  */
-sampleplayer.getType_ = function (media) {
-  var contentId = media.contentId || '';
-  var contentType = media.contentType || '';
-  var contentUrlPath = sampleplayer.getPath_(contentId);
-  if (contentType.indexOf('audio/') === 0) {
-    return sampleplayer.Type.AUDIO;
-  } else if (contentType.indexOf('video/') === 0) {
-    return sampleplayer.Type.VIDEO;
-  } else if (contentType.indexOf('application/x-mpegurl') === 0) {
-    return sampleplayer.Type.VIDEO;
-  } else if (contentType.indexOf('application/vnd.apple.mpegurl') === 0) {
-    return sampleplayer.Type.VIDEO;
-  } else if (contentType.indexOf('application/dash+xml') === 0) {
-    return sampleplayer.Type.VIDEO;
-  } else if (contentType.indexOf('application/vnd.ms-sstr+xml') === 0) {
-    return sampleplayer.Type.VIDEO;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'mp3') {
-    return sampleplayer.Type.AUDIO;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'oga') {
-    return sampleplayer.Type.AUDIO;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'wav') {
-    return sampleplayer.Type.AUDIO;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'mp4') {
-    return sampleplayer.Type.VIDEO;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'ogv') {
-    return sampleplayer.Type.VIDEO;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'webm') {
-    return sampleplayer.Type.VIDEO;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'm3u8') {
-    return sampleplayer.Type.VIDEO;
-  } else if (sampleplayer.getExtension_(contentUrlPath) === 'mpd') {
-    return sampleplayer.Type.VIDEO;
-  } else if (contentType.indexOf('.ism') != 0) {
-    return sampleplayer.Type.VIDEO;
-  }
-  return sampleplayer.Type.UNKNOWN;
+sampleplayer.readVastCompanionViews_ = function (creatives) {
+  var urls = [];
+  for (var i = 0; i < creatives.length; i++) {
+    sampleplayer.getChildElements_(
+      sampleplayer.getChildElement_(creatives[i], 'CompanionAds'),
+      'Companion').forEach(function (companionElement) {
+        urls = urls.concat(sampleplayer.readCompanionViews_(companionElement));
+      });
+  }
+  return urls;
 };
 
 
 /**
- * Formats the given duration.
+ * Reads the creativeView tracking URLs of a VAST Companion element.
  *
- * @param {number} dur the duration (in seconds)
- * @return {string} the time (in HH:MM:SS)
+ * @param {!Element} companionElement The Companion element.
+ * @return {!Array.<string>} The tracking URLs.
  * @private
  */
-sampleplayer.formatDuration_ = function (dur) {
-  dur = Math.floor(dur);
-  function digit(n) { return ('00' + Math.round(n)).slice(-2); }
-  var hr = Math.floor(dur / 3600);
-  var min = Math.floor(dur / 60) % 60;
-  var sec = dur % 60;
-  if (!hr) {
-    return digit(min) + ':' + digit(sec);
-  } else {
-    return digit(hr) + ':' + digit(min) + ':' + digit(sec);
-  }
+sampleplayer.readCompanionViews_ = function (companionElement) {
+  return sampleplayer.getChildElements_(
+    sampleplayer.getChildElement_(companionElement, 'TrackingEvents'),
+    'Tracking').filter(function (trackingElement) {
+      return trackingElement.getAttribute('event') === 'creativeView';
+    }).map(sampleplayer.getElementText_).filter(Boolean);
 };
 
 
 /**
- * Adds the given className to the given element for the specified amount of
- * time.
+ * Chooses the companion banner to show for an ad: the largest one that fits
+ * the companion region.
  *
- * @param {!Element} element The element to add the given class.
- * @param {string} className The class name to add to the given element.
- * @param {number} timeout The amount of time (in ms) the class should be
- *     added to the given element.
- * @return {number} A numerical id, which can be used later with
- *     window.clearTimeout().
+ * @param {!Array.<sampleplayer.AdCompanion>} companions The companions.
+ * @return {?sampleplayer.AdCompanion} The companion, or null if none fits.
  * @private
  */
-sampleplayer.addClassWithTimeout_ = function (element, className, timeout) {
-  element.classList.add(className);
-  return setTimeout(function () {
-    element.classList.remove(className);
-  }, timeout);
+sampleplayer.selectAdCompanion_ = function (companions) {
+  var maxSize = sampleplayer.AD_COMPANION_MAX_SIZE_;
+  var selected = null;
+  for (var i = 0; i < companions.length; i++) {
+    var companion = companions[i];
+    if (companion.width > maxSize.width ||
+      companion.height > maxSize.height) {
+      continue;
+    }
+    if (!selected || companion.width * companion.height >
+      selected.width * selected.height) {
+      selected = companion;
+    }
+  }
+  return selected;
 };
 
 
 /**
- * Causes the given element to fade out, does something, and then fades
- * it back in.
+ * Chooses the media file to play for an ad. Progressive files the media
+ * element can play are preferred, picking the highest bitrate that fits the
+ * screen.
  *
- * @param {!Element} element The element to fade in/out.
- * @param {number} time The total amount of time (in seconds) to transition.
- * @param {function()} something The function that does something.
+ * @param {!Array.<sampleplayer.AdMediaFile>} mediaFiles The media files.
+ * @param {!HTMLMediaElement} mediaElement The media element playing the ad.
+ * @return {?sampleplayer.AdMediaFile} The media file, or null if none of the
+ *     media files can be played.
  * @private
  */
-sampleplayer.transition_ = function (element, time, something) {
-  if (time <= 0 || sampleplayer.isCastForAudioDevice_()) {
-    // No transitions supported for Cast for Audio devices
-    something();
-  } else {
-    sampleplayer.fadeOut_(element, time / 2.0, function () {
-      something();
-      sampleplayer.fadeIn_(element, time / 2.0);
-    });
+sampleplayer.selectAdMediaFile_ = function (mediaFiles, mediaElement) {
+  var playable = mediaFiles.filter(function (mediaFile) {
+    return mediaFile.delivery === 'progressive' &&
+      (!mediaFile.type || mediaElement.canPlayType(mediaFile.type) !== '');
+  });
+  if (playable.length === 0) {
+    return null;
   }
+  var screenWidth = window.innerWidth;
+  playable.sort(function (a, b) {
+    var aFits = a.width <= screenWidth;
+    var bFits = b.width <= screenWidth;
+    if (aFits != bFits) {
+      return aFits ? -1 : 1;
+    }
+    // Highest bitrate first among files that fit, smallest first otherwise.
+    return aFits ? b.bitrate - a.bitrate : a.width - b.width;
+  });
+  return playable[0];
 };
 
 
 /**
- * Preloads media data that can be preloaded.
+ * Parses a VAST time value (HH:MM:SS or HH:MM:SS.mmm).
  *
- * @param {!cast.receiver.media.MediaInformation} media The media to load.
- * @param {function()} doneFunc The function to call when done.
+ * @param {string} value The time value.
+ * @return {number} The time (in sec), or NaN if the value is invalid.
  * @private
  */
-sampleplayer.preload_ = function (media, doneFunc) {
-  if (sampleplayer.isCastForAudioDevice_()) {
-    // No preloading for Cast for Audio devices
-    doneFunc();
-    return;
-  }
-
-  var imagesToPreload = [];
-  var counter = 0;
-  var images = [];
-  function imageLoaded() {
-    if (++counter === imagesToPreload.length) {
-      doneFunc();
-    }
-  }
-
-  // try to preload image metadata
-  var thumbnailUrl = sampleplayer.getMediaImageUrl_(media);
-  if (thumbnailUrl) {
-    imagesToPreload.push(thumbnailUrl);
-  }
-  if (imagesToPreload.length === 0) {
-    doneFunc();
-  } else {
-    for (var i = 0; i < imagesToPreload.length; i++) {
-      images[i] = new Image();
-      images[i].src = imagesToPreload[i];
-      images[i].onload = function () {
-        imageLoaded();
-      };
-      images[i].onerror = function () {
-        imageLoaded();
-      };
-    }
+sampleplayer.parseVastTime_ = function (value) {
+  var match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(value || '');
+  if (!match) {
+    return NaN;
   }
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 +
+    parseFloat(match[3]);
 };
 
 
 /**
- * Causes the given element to fade in.
+ * Formats a time for the VAST playhead macros.
  *
- * @param {!Element} element The element to fade in.
- * @param {number} time The amount of time (in seconds) to transition.
- * @param {function()=} opt_doneFunc The function to call when complete.
+ * @param {number} time The time (in sec).
+ * @return {string} The time (in HH:MM:SS.mmm).
  * @private
  */
-sampleplayer.fadeIn_ = function (element, time, opt_doneFunc) {
-  sampleplayer.fadeTo_(element, '', time, opt_doneFunc);
+sampleplayer.formatVastTime_ = function (time) {
+  function pad(n, digits) { return ('000' + n).slice(-digits); }
+  var ms = Math.round((time || 0) * 1000);
+  return pad(Math.floor(ms / 3600000), 2) + ':' +
+    pad(Math.floor(ms / 60000) % 60, 2) + ':' +
+    pad(Math.floor(ms / 1000) % 60, 2) + '.' + pad(ms % 1000, 3);
 };
 
 
 /**
- * Causes the given element to fade out.
+ * Sends a tracking beacon by requesting the given URL as an image.
  *
- * @param {!Element} element The element to fade out.
- * @param {number} time The amount of time (in seconds) to transition.
- * @param {function()=} opt_doneFunc The function to call when complete.
+ * @param {string} url The beacon URL.
  * @private
  */
-sampleplayer.fadeOut_ = function (element, time, opt_doneFunc) {
-  sampleplayer.fadeTo_(element, 0, time, opt_doneFunc);
+sampleplayer.sendBeacon_ = function (url) {
+  var image = new Image();
+  image.src = url;
 };
 
 
 /**
- * Causes the given element to fade to the given opacity in the given
- * amount of time.
+ * Fetches an XML document.
  *
- * @param {!Element} element The element to fade in/out.
- * @param {string|number} opacity The opacity to transition to.
- * @param {number} time The amount of time (in seconds) to transition.
- * @param {function()=} opt_doneFunc The function to call when complete.
+ * @param {string} url The document URL.
+ * @param {number} timeout The amount of time (in ms) to wait for a response.
+ * @param {function(Document, boolean)} doneFunc The function to call with
+ *     the document, or null if it could not be fetched, and whether the
+ *     request timed out.
  * @private
  */
-sampleplayer.fadeTo_ = function (element, opacity, time, opt_doneFunc) {
-  var self = this;
-  var id = Date.now();
-  var listener = function () {
-    element.style.webkitTransition = '';
-    element.removeEventListener('webkitTransitionEnd', listener, false);
-    if (opt_doneFunc) {
-      opt_doneFunc();
+sampleplayer.fetchXml_ = function (url, timeout, doneFunc) {
+  var xhr = new XMLHttpRequest();
+  xhr.open('GET', url, true);
+  xhr.timeout = timeout;
+  xhr.onload = function () {
+    if (xhr.status < 200 || xhr.status >= 300) {
+      doneFunc(null, false);
+      return;
+    }
+    var xml = xhr.responseXML;
+    if (!xml) {
+      xml = new DOMParser().parseFromString(xhr.responseText, 'text/xml');
     }
+    doneFunc(xml, false);
   };
-  element.addEventListener('webkitTransitionEnd', listener, false);
-  element.style.webkitTransition = 'opacity ' + time + 's';
-  element.style.opacity = opacity;
+  xhr.onerror = function () {
+    doneFunc(null, false);
+  };
+  xhr.ontimeout = function () {
+    doneFunc(null, true);
+  };
+  xhr.send();
 };
 
 
 /**
- * Utility function to get the extension of a URL file path.
+ * Returns the child elements of the given element with the given local name,
+ * regardless of their XML namespace prefix.
  *
- * @param {string} url the URL
- * @return {string} the extension or "" if none
+ * @param {Element} parent The parent element.
+ * @param {string} localName The local name of the child elements.
+ * @return {!Array.<!Element>} The child elements.
  * @private
  */
-sampleplayer.getExtension_ = function (url) {
-  var parts = url.split('.');
-  // Handle files with no extensions and hidden files with no extension
-  if (parts.length === 1 || (parts[0] === '' && parts.length === 2)) {
-    return '';
+sampleplayer.getChildElements_ = function (parent, localName) {
+  var elements = [];
+  if (!parent) {
+    return elements;
   }
-  return parts.pop().toLowerCase();
+  for (var child = parent.firstElementChild; child;
+    child = child.nextElementSibling) {
+    if (child.localName === localName) {
+      elements.push(child);
+    }
+  }
+  return elements;
 };
 
 
 /**
- * Returns the application state.
+ * Returns the first child element of the given element with the given local
+ * name.
  *
- * @param {cast.receiver.media.MediaInformation=} opt_media The current media
- *     metadata
- * @return {string} The application state.
+ * @param {Element} parent The parent element.
+ * @param {string} localName The local name of the child element.
+ * @return {Element} The child element, or null if none.
  * @private
  */
-sampleplayer.getApplicationState_ = function (opt_media) {
-  if (opt_media && opt_media.metadata && opt_media.metadata.title) {
-    return 'Now Casting: ' + opt_media.metadata.title;
-  } else if (opt_media) {
-    return 'Now Casting';
-  } else {
-    return 'Ready To Cast';
-  }
+sampleplayer.getChildElement_ = function (parent, localName) {
+  return sampleplayer.getChildElements_(parent, localName)[0] || null;
 };
 
 
 /**
- * Returns the URL path.
+ * Returns the trimmed text content of the given element.
  *
- * @param {string} url The URL
- * @return {string} The URL path.
+ * @param {Element} element The element.
+ * @return {string} The text content, or "" if there is no element.
  * @private
  */
-sampleplayer.getPath_ = function (url) {
-  var href = document.createElement('a');
-  href.href = url;
-  return href.pathname || '';
+sampleplayer.getElementText_ = function (element) {
+  return element ? element.textContent.trim() : '';
 };
 
 